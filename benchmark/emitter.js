@@ -0,0 +1,134 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"../event/emitter",
+	"../event/runner/sync",
+	"when",
+	"poly/array"
+], function EmitterBenchmarkModule(Emitter, sync, when) {
+	"use strict";
+
+	/**
+	 * Measures the throughput of {@link core.event.emitter#on on}, {@link core.event.emitter#emit emit} and
+	 * {@link core.event.emitter#off off}.
+	 *
+	 * 	require([ "troopjs-core/benchmark/emitter" ], function (benchmark) {
+	 * 		benchmark(10000).then(function (results) {
+	 * 			results.forEach(function (result) {
+	 * 				console.log(result.name, Math.round(result.opsPerSecond) + " ops/s");
+	 * 			});
+	 * 		});
+	 * 	});
+	 *
+	 * Listeners share one callback but have their own context, like many instances of a component subscribing to the
+	 * same hub topic, which is the worst case for removing listeners one by one.
+	 *
+	 * @class core.benchmark.emitter
+	 * @static
+	 * @private
+	 */
+
+	var NAME = "name";
+	var OPS = "ops";
+	var MS = "ms";
+	var OPS_PER_SECOND = "opsPerSecond";
+
+	/**
+	 * Measures how long running fn ops times takes
+	 * @ignore
+	 * @param {String} name Name of the measurement
+	 * @param {Number} ops Number of operations
+	 * @param {Function} fn Function to run, called with the operation index
+	 * @return {Promise} Promise of the measurement
+	 */
+	function measure(name, ops, fn) {
+		var started = +new Date();
+		var result = {};
+
+		// Run sequentially so async operations are part of the measurement
+		return (function next(promise, i) {
+			return i < ops
+				? when(promise, function () {
+					return next(fn(i), i + 1);
+				})
+				: when(promise);
+		})(when.resolve(), 0).then(function () {
+			result[NAME] = name;
+			result[OPS] = ops;
+			result[MS] = Math.max(+new Date() - started, 1);
+			result[OPS_PER_SECOND] = ops / result[MS] * 1000;
+
+			return result;
+		});
+	}
+
+	/**
+	 * @method constructor
+	 * @param {Number} [size=10000] Number of listeners (and emissions) to measure with
+	 * @return {Promise} Promise of the measurements, each with `name`, `ops`, `ms` and `opsPerSecond`
+	 */
+	return function benchmark(size) {
+		var emitter = Emitter();
+		var contexts = [];
+		var results = [];
+		var i;
+
+		function callback() {}
+
+		size = size || 10000;
+
+		for (i = 0; i < size; i++) {
+			contexts[i] = {};
+		}
+
+		return when.reduce([
+			function () {
+				return measure("on", size, function (i) {
+					emitter.on("benchmark", contexts[i], callback);
+				});
+			},
+			function () {
+				return measure("emit (sync, " + size + " listeners)", 100, function () {
+					emitter.emit({
+						"type": "benchmark",
+						"runner": sync
+					});
+				});
+			},
+			function () {
+				return measure("emit (sequence, " + size + " listeners)", 10, function () {
+					return emitter.emit("benchmark");
+				});
+			},
+			function () {
+				return measure("off (context and callback)", size, function (i) {
+					emitter.off("benchmark", contexts[i], callback);
+				});
+			},
+			function () {
+				// Add listeners again, to remove them by context only
+				contexts.forEach(function (context) {
+					emitter.on("benchmark", context, callback);
+				});
+
+				return measure("off (context)", size, function (i) {
+					emitter.off("benchmark", contexts[i]);
+				});
+			},
+			function () {
+				return measure("on/off (same listener)", size, function (i) {
+					emitter
+						.on("benchmark", contexts[i], callback)
+						.off("benchmark", contexts[i], callback);
+				});
+			}
+		], function (results, run) {
+			return run().then(function (result) {
+				results.push(result);
+
+				return results;
+			});
+		}, results);
+	};
+});
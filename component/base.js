@@ -7,11 +7,18 @@ define([
 	"troopjs-compose/mixin/config",
 	"./registry",
 	"../task/registry",
+	"../event/token",
+	"../event/subscription",
+	"../event/iterator",
+	"../event/observable",
+	"../event/wait",
+	"../event/copy",
+	"../event/report",
 	"troopjs-util/merge",
 	"troopjs-compose/decorator/around",
 	"when",
 	"poly/array"
-], function ComponentModule(Emitter, sequence, COMPOSE_CONF, componentRegistry, taskRegistry, merge, around, when) {
+], function ComponentModule(Emitter, sequence, COMPOSE_CONF, componentRegistry, taskRegistry, Token, Subscription, Iterator, Observable, wait, copy, report, merge, around, when) {
 	"use strict";
 
 	/**
@@ -61,14 +68,35 @@ define([
 
 	var UNDEFINED;
 	var FALSE = false;
+	var TRUE = true;
 	var ARRAY_PROTO = Array.prototype;
 	var ARRAY_PUSH = ARRAY_PROTO.push;
+	var ARRAY_SLICE = ARRAY_PROTO.slice;
 	var CONFIGURATION = "configuration";
+	var TOKEN = "token";
+	var LISTENING = "listening";
+	var PAUSED = "paused";
+	var ITERATORS = "iterators";
+	var DONE = "done";
+	var WAITING = "waiting";
+	var REASON = "reason";
+	var DATA = "data";
+	var PRIORITY = "priority";
+	var EMITTER = "emitter";
+	var PROXY = "proxy";
 	var RUNNER = "runner";
+	var TIMEOUT = "timeout";
+	var PARENT = "parent";
+	var BUBBLES = "bubbles";
+	var TARGET = "target";
+	var CURRENT_TARGET = "currentTarget";
 	var HANDLERS = "handlers";
 	var HEAD = "head";
 	var TAIL = "tail";
 	var CONTEXT = "context";
+	var CALLBACK = "callback";
+	var OBJECT_TOSTRING = Object.prototype.toString;
+	var TOSTRING_STRING = "[object String]";
 	var NAME = "name";
 	var TYPE = "type";
 	var VALUE = "value";
@@ -134,6 +162,7 @@ define([
 	 * @param {String} type
 	 * @param {Function} callback
 	 * @param {*} [data]
+	 * @param {Number} [priority]
 	 */
 
 	/**
@@ -146,6 +175,7 @@ define([
 	 * @param {String} type
 	 * @param {Function} callback
 	 * @param {*} [data]
+	 * @param {Number} [priority]
 	 */
 
 	/**
@@ -183,6 +213,16 @@ define([
 	 * @return {Promise}
 	 */
 
+	/**
+	 * Error signal
+	 * @event sig/error
+	 * @localdoc Triggered when an event emitted on this component fails. If this component does not handle it, the failure
+	 * is logged instead.
+	 * @param {*} reason Reason the event failed with
+	 * @param {String} type Type of the failed event
+	 * @param {Object} [context] Context of the handler that failed
+	 */
+
 	/**
 	 * Handles the component start
 	 * @handler sig/start
@@ -231,6 +271,23 @@ define([
 	 * @return {*|Boolean}
 	 */
 
+	/**
+	 * Handles a failed event
+	 * @handler sig/error
+	 * @inheritdoc #event-sig/error
+	 * @template
+	 */
+
+	/**
+	 * Checks if a handler interrupted an emission by returning `false`
+	 * @ignore
+	 * @param {*} result Result from runner, either the result of a handler or an array of results of handlers
+	 * @return {Boolean}
+	 */
+	function interrupted(result) {
+		return result === FALSE || (Array.isArray(result) && result.indexOf(FALSE) !== -1);
+	}
+
 	// Add pragma for signals and events.
 	COMPOSE_CONF.pragmas.push({
 		"pattern": /^(?:sig|on)\/.+/,
@@ -241,7 +298,7 @@ define([
 	 * @method constructor
 	 * @inheritdoc
 	 */
-	return Emitter.extend(function Component() {
+	var Component = Emitter.extend(function Component() {
 		var me = this;
 		var specials = me.constructor.specials[SIG] || ARRAY_PROTO;
 
@@ -257,9 +314,59 @@ define([
 		 * @property {Object} configuration
 		 */
 		me[CONFIGURATION] = {};
+
+		/**
+		 * Cancellation token for events emitted by this component, cancelled (and replaced) when this component {@link #stop stops}
+		 * @protected
+		 * @readonly
+		 * @property {core.event.token} token
+		 */
+		me[TOKEN] = Token();
+
+		/**
+		 * Subscriptions this component made on other emitters via {@link #listenTo}
+		 * @private
+		 * @readonly
+		 * @property {Object[]} listening
+		 * @property {core.event.emitter} listening.emitter Emitter listened to
+		 * @property {String} listening.type Event type listened to
+		 * @property {Function} listening.callback Event listener function
+		 */
+		me[LISTENING] = [];
+
+		/**
+		 * Parent of this component that events emitted with `bubbles` propagate to, access via {@link #setParent}
+		 * @protected
+		 * @readonly
+		 * @property {core.component.base} parent
+		 */
+		me[PARENT] = UNDEFINED;
+
+		/**
+		 * Iterators created via {@link #iterate}, returned when this component {@link #stop stops}
+		 * @private
+		 * @readonly
+		 * @property {core.event.iterator[]} iterators
+		 */
+		me[ITERATORS] = [];
+
+		/**
+		 * Functions rejecting the promises of {@link #waitFor} that are still waiting, called when this component
+		 * {@link #stop stops}
+		 * @private
+		 * @readonly
+		 * @property {Function[]} waiting
+		 */
+		me[WAITING] = [];
 	}, {
 		"displayName" : "core/component/base",
 
+		/**
+		 * @inheritdoc
+		 * @localdoc Failures of events emitted on components are signalled as {@link #event-sig/error}.
+		 */
+		"errorEvent" : SIG + "/error",
+
 		/**
 		 * Handles the component initialization.
 		 * @inheritdoc #event-sig/initialize
@@ -282,7 +389,7 @@ define([
 		/**
 		 * Handles the component finalization.
 		 * @inheritdoc #event-sig/finalize
-		 * @localdoc Un-registers all handlers
+		 * @localdoc Un-registers all handlers and stops listening to other emitters
 		 * @handler
 		 * @return {Promise}
 		 */
@@ -292,6 +399,9 @@ define([
 			// Unregister component
 			componentRegistry.remove(me.toString());
 
+			// Stop listening to other emitters
+			me.stopListening();
+
 			// Finialize all handlers, in reverse
 			return when.map(me[HANDLERS].reverse(), function (handlers) {
 				return me.off(handlers[TYPE]);
@@ -362,11 +472,12 @@ define([
 		 * @param {String} type The event type to subscribe to.
 		 * @param {Function} callback The event listener function.
 		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
 		 * @fires sig/setup
 		 * @fires sig/add
 		 */
 		"on": around(function (fn) {
-			return function on(type, callback, data) {
+			return function on(type, callback, data, priority) {
 				var me = this;
 				var event;
 				var handlers;
@@ -387,14 +498,14 @@ define([
 					// If this is the first handler signal SIG_SETUP
 					if (!(HEAD in handlers)) {
 						event[TYPE] = SIG_SETUP;
-						result = me.emit(event, handlers, type, callback, data);
+						result = me.emit(event, handlers, type, callback, data, priority);
 					}
 
 					// If we were not interrupted
 					if (result !== FALSE) {
 						// Signal SIG_ADD
 						event[TYPE] = SIG_ADD;
-						result = me.emit(event, handlers, type, callback, data);
+						result = me.emit(event, handlers, type, callback, data, priority);
 					}
 
 					// If we were not interrupted and `handlers` is not the list for `type` append it
@@ -405,7 +516,7 @@ define([
 
 				// If we were not interrupted return result from super.on, otherwise just this
 				return result !== FALSE
-						? fn.call(me, type, me, callback, data)
+						? fn.call(me, type, me, callback, data, priority)
 						: me;
 			};
 		}),
@@ -461,6 +572,381 @@ define([
 			};
 		}),
 
+		/**
+		 * @chainable
+		 * @method
+		 * @inheritdoc
+		 * @localdoc Context of the callback will always be **this** object.
+		 * @param {String} type The event type to subscribe to.
+		 * @param {Function} callback The event listener function.
+		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
+		 * @fires sig/setup
+		 * @fires sig/add
+		 * @fires sig/remove
+		 * @fires sig/teardown
+		 */
+		"once": function once(type, callback, data, priority) {
+			var me = this;
+			var called = FALSE;
+			var proxy = function () {
+				// Only call callback the first time
+				if (!called) {
+					called = TRUE;
+
+					// Remove proxy (signalling SIG_REMOVE) before calling callback
+					me.off(type, proxy);
+
+					return callback.apply(me, arguments);
+				}
+			};
+
+			// Remember callback so we can remove by it
+			proxy[CALLBACK] = callback;
+
+			return me.on(type, proxy, data, priority);
+		},
+
+		/**
+		 * @inheritdoc
+		 * @localdoc Context of the listener is forced to this component, and removing it signals
+		 * {@link #event-sig/remove} (and {@link #event-sig/teardown}) like {@link #off} does. Listen to `hub/` types on
+		 * {@link core.component.gadget gadgets} to get handles of hub subscriptions.
+		 *
+		 * 	var subscription = gadget.listen("hub/foo", function () {
+		 * 		// handle foo published on the hub
+		 * 	});
+		 *
+		 * @param {String} type The event type to subscribe to.
+		 * @param {Function} callback The event listener function.
+		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
+		 * @return {core.event.subscription} Handle of the listener
+		 */
+		"listen": function listen(type, callback, data, priority) {
+			var me = this;
+			var listener = {};
+			var subscription;
+			var proxy = function () {
+				// Skip callback while paused
+				if (!subscription[PAUSED]) {
+					return callback.apply(me, arguments);
+				}
+			};
+
+			// Remember callback so we can remove by it
+			proxy[CALLBACK] = callback;
+
+			// Describe listener
+			listener[TYPE] = type;
+			listener[CONTEXT] = me;
+			listener[CALLBACK] = callback;
+			listener[DATA] = data;
+			listener[PRIORITY] = priority || 0;
+
+			subscription = Subscription(listener, function () {
+				// Remove proxy (signalling SIG_REMOVE)
+				me.off(type, proxy);
+			});
+
+			me.on(type, proxy, data, priority);
+
+			return subscription;
+		},
+
+		/**
+		 * @inheritdoc
+		 * @localdoc Iterators end when this component {@link #stop stops}. Iterate over `hub/` types on
+		 * {@link core.component.gadget gadgets} to iterate over hub topics.
+		 *
+		 * 	for await (const [ message ] of gadget.iterate("hub/chat/message")) {
+		 * 		// handle message published on the hub
+		 * 	}
+		 *
+		 * @param {String} type The event type to iterate over.
+		 * @param {Number} [bound=100] Maximum number of emissions to buffer while nobody awaits the next one.
+		 * @return {core.event.iterator} Async iterator
+		 */
+		"iterate": function iterate(type, bound) {
+			var me = this;
+			var iterator = Iterator(function (listener) {
+				return me.listen(type, listener);
+			}, bound);
+
+			// Remember iterator, forgetting iterators that are done
+			me[ITERATORS] = me[ITERATORS].filter(function (iterator) {
+				return !iterator[DONE];
+			});
+
+			ARRAY_PUSH.call(me[ITERATORS], iterator);
+
+			return iterator;
+		},
+
+		/**
+		 * @inheritdoc
+		 * @localdoc Listeners are added in the context of this component. Observe `hub/` types on
+		 * {@link core.component.gadget gadgets} to observe hub topics.
+		 * @param {String} type The event type to observe.
+		 * @return {core.event.observable} Observable of emission arguments
+		 */
+		"observe": function observe(type) {
+			var me = this;
+			var event = {};
+
+			event[TYPE] = type;
+
+			return Observable(function (observer) {
+				var subscription = me.listen(type, function () {
+					observer.next(ARRAY_SLICE.call(arguments));
+				});
+
+				return function () {
+					subscription.remove();
+				};
+			}, function (reason) {
+				report(me, event, reason, TRUE);
+			});
+		},
+
+		/**
+		 * @inheritdoc
+		 * @localdoc Listeners are added in the context of this component. Wait for `hub/` types on
+		 * {@link core.component.gadget gadgets} to wait for hub topics.
+		 *
+		 * If this component {@link #stop stops} before a matching emission the promise is rejected with the `CancelError` of
+		 * its {@link #token}.
+		 * @param {String} type The event type to wait for.
+		 * @param {Function} [predicate] Called with the args of each emission, only emissions it returns truthy for match.
+		 * @param {Number} [timeout] Milliseconds to wait before rejecting with a `TimeoutError`, waits forever if omitted.
+		 * @param {Function} [remember] Called once listening, returns the args of a remembered emission to check first (or
+		 * `undefined`), see {@link core.component.gadget#waitFor}
+		 * @return {Promise} Promise of the args of the next matching emission
+		 */
+		"waitFor": function waitFor(type, predicate, timeout, remember) {
+			var me = this;
+			var waiting = me[WAITING];
+			var cancel;
+
+			// Shift timeout if there is no predicate
+			if (typeof predicate === "number") {
+				timeout = predicate;
+				predicate = UNDEFINED;
+			}
+
+			return wait(function (listener, reject) {
+				var subscription;
+				var args;
+
+				// Remember how to reject, so stop can
+				ARRAY_PUSH.call(waiting, cancel = reject);
+
+				subscription = me.listen(type, listener);
+
+				// Check remembered emission once listening, so no emission is missed
+				if (remember !== UNDEFINED && (args = remember()) !== UNDEFINED) {
+					listener.apply(me, args);
+				}
+
+				return subscription;
+			}, type, predicate, timeout).ensure(function () {
+				var index = waiting.indexOf(cancel);
+
+				// Forget settled wait, unless stop did already
+				if (index !== -1) {
+					waiting.splice(index, 1);
+				}
+			});
+		},
+
+		/**
+		 * Listens to events of another emitter in the context of this component. Unlike `emitter.on(type, this, callback)`
+		 * the subscription is remembered, so it can be removed with {@link #stopListening}, which happens automatically when
+		 * this component is finalized.
+		 *
+		 * The subscription is made (and removed) through the `on` (and `off`) of the emitter, so when listening to another
+		 * component its signals run as usual, e.g. listening to a `hub/` type of a {@link core.component.gadget gadget}
+		 * subscribes to the hub.
+		 *
+		 * 	"sig/start": function () {
+		 * 		this.listenTo(model, "change", this.render);
+		 * 	}
+		 *
+		 * @chainable
+		 * @param {core.event.emitter} emitter The emitter to listen to.
+		 * @param {String} type The event type to subscribe to.
+		 * @param {Function} callback The event listener function.
+		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
+		 */
+		"listenTo": function listenTo(emitter, type, callback, data, priority) {
+			var me = this;
+			var listening = {};
+			var proxy;
+
+			// Components force the context of listeners to themselves, so subscribe a proxy calling callback in our context
+			if (emitter instanceof Component) {
+				proxy = function () {
+					return callback.apply(me, arguments);
+				};
+
+				// Remember callback so we can remove by it
+				proxy[CALLBACK] = callback;
+
+				emitter.on(type, proxy, data, priority);
+			}
+			// Otherwise subscribe in the context of this component
+			else {
+				emitter.on(type, me, callback, data, priority);
+			}
+
+			// Remember subscription
+			listening[EMITTER] = emitter;
+			listening[TYPE] = type;
+			listening[CALLBACK] = callback;
+			listening[PROXY] = proxy;
+
+			ARRAY_PUSH.call(me[LISTENING], listening);
+
+			return me;
+		},
+
+		/**
+		 * Stops listening to events of other emitters that were subscribed to via {@link #listenTo}.
+		 * @chainable
+		 * @param {core.event.emitter} [emitter] Only stop listening to this emitter
+		 * @param {String} [type] Only stop listening to this event type
+		 * @param {Function} [callback] Only stop listening with this event listener function
+		 */
+		"stopListening": function stopListening(emitter, type, callback) {
+			var me = this;
+
+			me[LISTENING] = me[LISTENING].filter(function (listening) {
+				// Keep subscriptions that don't match
+				if ((emitter && listening[EMITTER] !== emitter)
+					|| (type !== UNDEFINED && listening[TYPE] !== type)
+					|| (callback && listening[CALLBACK] !== callback)) {
+					return TRUE;
+				}
+
+				// Remove subscription from emitter
+				if (listening[PROXY] !== UNDEFINED) {
+					listening[EMITTER].off(listening[TYPE], listening[PROXY]);
+				}
+				else {
+					listening[EMITTER].off(listening[TYPE], me, listening[CALLBACK]);
+				}
+
+				return FALSE;
+			});
+
+			return me;
+		},
+
+		/**
+		 * Sets the parent of this component, events emitted with `bubbles` on this component propagate to the parent
+		 * (and on to its ancestors) once handled here.
+		 * @chainable
+		 * @param {core.component.base} [parent] The parent component, omit to detach this component from its parent
+		 * @throws {Error} If the parent is this component or one of its descendants
+		 */
+		"setParent": function setParent(parent) {
+			var me = this;
+			var ancestor;
+
+			// Make sure we don't create a cycle
+			for (ancestor = parent; ancestor !== UNDEFINED; ancestor = ancestor[PARENT]) {
+				if (ancestor === me) {
+					throw new Error(me.toString() + " can not be a descendant of itself");
+				}
+			}
+
+			me[PARENT] = parent;
+
+			return me;
+		},
+
+		/**
+		 * @method
+		 * @inheritdoc
+		 * @localdoc Events that are not signals are emitted with this component's {@link #token} (unless they have a token),
+		 * so they are cancelled when this component {@link #stop stops}. The event object of the caller is not modified.
+		 *
+		 * Events emitted with `bubbles` propagate to the {@link #parent} of this component once handled here, and on to
+		 * its ancestors, mirroring DOM event bubbling:
+		 *
+		 *  - Handlers receive the emitted arguments, just like they do for events that do not bubble.
+		 *  - A handler returning `false` is the only way to prevent the event from propagating any further.
+		 *  - Each component handles its own copy of the event object, where `event.target` is the component the event was
+		 *  emitted on and `event.currentTarget` the component handling it (see {@link #addInterceptor interceptors}).
+		 *  - Each ancestor handles the event with its own {@link #runner}, {@link #timeout} and {@link #token}, the `runner`,
+		 *  `timeout` and `token` of the event only apply to the target.
+		 *
+		 * 	child.setParent(parent).emit({
+		 * 		"type": "item/selected",
+		 * 		"bubbles": true
+		 * 	}, item);
+		 *
+		 * @param {Boolean} [event.bubbles=false] Propagate the event to the ancestors of this component
+		 * @return {Promise} Promise of the results of the handlers of this component
+		 */
+		"emit": around(function (fn) {
+			return function emit(event) {
+				var me = this;
+				var type = event;
+				var args;
+
+				// If event is a plain string that is not a signal, convert to object with token
+				if (OBJECT_TOSTRING.call(event) === TOSTRING_STRING) {
+					if (!EVENT_TYPE_SIG.test(type)) {
+						event = arguments[0] = {};
+						event[TYPE] = type;
+						event[TOKEN] = me[TOKEN];
+					}
+				}
+				// If event is an event object that is not a signal, copy it so we can decorate it
+				else if (!EVENT_TYPE_SIG.test(event[TYPE])) {
+					event = arguments[0] = copy(event);
+
+					// Add token if we don't have one
+					if (event[TOKEN] === UNDEFINED) {
+						event[TOKEN] = me[TOKEN];
+					}
+				}
+
+				// Not bubbling, just emit
+				if (event[BUBBLES] !== TRUE) {
+					return fn.apply(me, arguments);
+				}
+
+				args = ARRAY_SLICE.call(arguments);
+
+				// If this is the target, remember it
+				if (event[TARGET] === UNDEFINED) {
+					event[TARGET] = me;
+				}
+
+				event[CURRENT_TARGET] = me;
+
+				return when(fn.apply(me, args)).tap(function (result) {
+					var parent = me[PARENT];
+					var bubbled;
+
+					// Propagate a copy to parent unless a handler returned `false`
+					if (parent !== UNDEFINED && !interrupted(result)) {
+						bubbled = args[0] = copy(event);
+
+						// Let parent use its own runner, timeout and token
+						delete bubbled[RUNNER];
+						delete bubbled[TIMEOUT];
+						delete bubbled[TOKEN];
+
+						return parent.emit.apply(parent, args);
+					}
+				});
+			};
+		}),
+
 		/**
 		 * Signals the component
 		 * @param {String} _signal Signal
@@ -515,7 +1001,8 @@ define([
 		},
 
 		/**
-		 * Stops the component life-cycle.
+		 * Stops the component life-cycle, cancelling events emitted by this component that are still running, ending
+		 * its {@link #iterate iterators} and rejecting promises still {@link #waitFor waiting}.
 		 * @param {...*} [args] arguments
 		 * @return {Promise}
 		 * @fires sig/stop
@@ -524,12 +1011,27 @@ define([
 		"stop" : function stop() {
 			var me = this;
 			var signal = me.signal;
+			var reason;
 
 			// Check PHASE
 			if (me[PHASE] !== STARTED) {
 				return when.resolve(UNDEFINED);
 			}
 
+			// Cancel running emits and renew token
+			reason = me[TOKEN].cancel(me.toString() + " stopped")[REASON];
+			me[TOKEN] = Token();
+
+			// Reject waits with the cancellation reason
+			me[WAITING].splice(0).forEach(function (reject) {
+				reject(reason);
+			});
+
+			// End iterators
+			me[ITERATORS].splice(0).forEach(function (iterator) {
+				iterator.return();
+			});
+
 			// Modify args to change signal (and store in PHASE)
 			var args = [ me[PHASE] = STOP ];
 
@@ -597,4 +1099,6 @@ define([
 			return promise;
 		}
 	});
+
+	return Component;
 });
@@ -6,8 +6,12 @@ define([
 	"./runner/pipeline",
 	"troopjs-compose/mixin/config",
 	"when",
-	"../pubsub/hub"
-],function GadgetModule(Component, pipeline, COMPOSE_CONF, when, hub) {
+	"../pubsub/hub",
+	"../event/observable",
+	"../event/copy",
+	"../event/report",
+	"poly/array"
+],function GadgetModule(Component, pipeline, COMPOSE_CONF, when, hub, Observable, copy, report) {
 	"use strict";
 
 	/**
@@ -49,12 +53,21 @@ define([
 	var UNDEFINED;
 	var NULL = null;
 	var ARRAY_PROTO = Array.prototype;
+	var COMPONENT_PROTO = Component.prototype;
 	var RUNNER = "runner";
 	var CONTEXT = "context";
 	var CALLBACK = "callback";
 	var ARGS = "args";
 	var NAME = "name";
 	var TYPE = "type";
+	var TOKEN = "token";
+	var SOURCES = "sources";
+	var NEXT = "next";
+	var ERROR = "error";
+	var COMPLETE = "complete";
+	var OBSERVABLE = Observable.OBSERVABLE;
+	var OBJECT_TOSTRING = Object.prototype.toString;
+	var TOSTRING_STRING = "[object String]";
 	var VALUE = "value";
 	var HUB = "hub";
 	var RE = new RegExp("^" + HUB + "/(.+)");
@@ -71,9 +84,28 @@ define([
 	 * @method constructor
 	 * @inheritdoc
 	 */
-	return Component.extend({
+	return Component.extend(function Gadget() {
+		/**
+		 * Subscriptions to observables published via {@link #publishFrom}, unsubscribed when this component is finalized
+		 * @private
+		 * @readonly
+		 * @property {Object[]} sources
+		 */
+		this[SOURCES] = [];
+	}, {
 		"displayName" : "core/component/gadget",
 
+		/**
+		 * @inheritdoc
+		 * @localdoc Unsubscribes from observables published via {@link #publishFrom}
+		 * @handler
+		 */
+		"sig/finalize" : function onFinalize() {
+			this[SOURCES].splice(0).forEach(function (subscription) {
+				subscription.unsubscribe();
+			});
+		},
+
 		/**
 		 * @inheritdoc
 		 * @localdoc Triggers memorized values on HUB specials
@@ -121,12 +153,12 @@ define([
 		 * @localdoc Registers subscription on the {@link core.pubsub.hub hub} for matching callbacks
 		 * @handler
 		 */
-		"sig/add": function onAdd(handlers, type, callback) {
+		"sig/add": function onAdd(handlers, type, callback, data, priority) {
 			var me = this;
 			var matches;
 
 			if ((matches = RE.exec(type)) !== NULL) {
-				hub.subscribe(matches[1], me, callback);
+				hub.subscribe(matches[1], me, callback, data, priority);
 			}
 		},
 
@@ -156,18 +188,96 @@ define([
 
 		/**
 		 * @inheritdoc core.pubsub.hub#publish
+		 * @localdoc Publishes with this component's {@link #token} (unless the event has a token),
+		 * so the publish is cancelled when this component {@link #stop stops}.
 		 */
-		"publish" : function publish() {
+		"publish" : function publish(event) {
+			var me = this;
+			var type = event;
+
+			// If event is a plain string, convert to event object with token
+			if (OBJECT_TOSTRING.call(event) === TOSTRING_STRING) {
+				event = arguments[0] = {};
+				event[TYPE] = type;
+				event[TOKEN] = me[TOKEN];
+			}
+			// If event is an event object without a token, add token to a copy
+			else if (event[TOKEN] === UNDEFINED) {
+				event = arguments[0] = copy(event);
+				event[TOKEN] = me[TOKEN];
+			}
+
 			return hub.publish.apply(hub, arguments);
 		},
 
+		/**
+		 * Publishes each value of an observable (anything with a `subscribe` method, or that interoperates via
+		 * `Symbol.observable`) on the {@link core.pubsub.hub hub}, until the observable completes or this component is
+		 * finalized.
+		 *
+		 * 	this.publishFrom("window/resize", Rx.Observable.fromEvent(window, "resize").debounceTime(100));
+		 *
+		 * @param {String|Object} event The topic to publish, or an event object, see {@link #publish}
+		 * @param {Object} observable The observable to publish values of
+		 * @return {Object} Subscription to the observable, with an `unsubscribe` method
+		 */
+		"publishFrom" : function publishFrom(event, observable) {
+			var me = this;
+			var sources = me[SOURCES];
+			var observer = {};
+			var subscription;
+
+			// Use interop observable if provided
+			if (observable[OBSERVABLE] !== UNDEFINED) {
+				observable = observable[OBSERVABLE]();
+			}
+
+			observer[NEXT] = function (value) {
+				// Nobody awaits this publish, log failures the hub did not re-emit as error events
+				report.forget(hub, OBJECT_TOSTRING.call(event) === TOSTRING_STRING
+					? event
+					: event[TYPE], me.publish(event, value));
+			};
+
+			observer[ERROR] = function (reason) {
+				me.error("error publishing from observable on " + me.toString(), reason);
+			};
+
+			observer[COMPLETE] = function () {
+				// Forget completed subscription
+				var index = sources.indexOf(subscription);
+
+				if (index !== -1) {
+					sources.splice(index, 1);
+				}
+			};
+
+			subscription = observable.subscribe(observer);
+
+			// Remember subscription unless the observable completed right away
+			if (subscription.closed !== true) {
+				sources.push(subscription);
+			}
+
+			return subscription;
+		},
+
 		/**
 		 * @chainable
 		 * @inheritdoc core.pubsub.hub#subscribe
 		 * @localdoc Subscribe to public events from this component, forcing the context of which to be this component.
 		 */
-		"subscribe" : function subscribe(event, callback, data) {
-			return this.on(HUB + "/" + event, callback, data);
+		"subscribe" : function subscribe(event, callback, data, priority) {
+			return this.on(HUB + "/" + event, callback, data, priority);
+		},
+
+		/**
+		 * @chainable
+		 * @inheritdoc core.pubsub.hub#subscribeOnce
+		 * @localdoc Subscribe to the next public event from this component, forcing the context of which to be this component.
+		 */
+		"subscribeOnce" : function subscribeOnce(event, callback, data, priority) {
+			return this.once(HUB + "/" + event, callback, data, priority);
 		},
 
 		/**
@@ -179,6 +289,54 @@ define([
 			return this.off(HUB + "/" + event, callback);
 		},
 
+		/**
+		 * @inheritdoc
+		 * @localdoc Wait for `hub/` types to wait for the next publication of a hub topic, optionally resolving right
+		 * away with the remembered value of the topic if it matches.
+		 *
+		 * 	this.waitFor("hub/user/login", true).then(function (args) {
+		 * 		// user is (or has been) logged in
+		 * 	});
+		 *
+		 * @param {String} type The event type to wait for.
+		 * @param {Function} [predicate] Called with the args of each emission, only emissions it returns truthy for match.
+		 * @param {Number} [timeout] Milliseconds to wait before rejecting with a `TimeoutError`, waits forever if omitted.
+		 * @param {Boolean} [memory=false] Resolve with the remembered value of the hub topic (if any, and if it matches).
+		 * @return {Promise} Promise of the args of the next matching emission
+		 */
+		"waitFor" : function waitFor(type, predicate, timeout, memory) {
+			var me = this;
+			var empty = {};
+			var matches;
+			var remember;
+
+			// Shift arguments if there is no predicate
+			if (typeof predicate === "number" || typeof predicate === "boolean") {
+				memory = timeout;
+				timeout = predicate;
+				predicate = UNDEFINED;
+			}
+
+			// Shift memory if there is no timeout
+			if (typeof timeout === "boolean") {
+				memory = timeout;
+				timeout = UNDEFINED;
+			}
+
+			// Check the remembered value of the topic once listening
+			if (memory === true && (matches = RE.exec(type)) !== NULL) {
+				remember = function () {
+					var value = hub.peek(matches[1], empty);
+
+					return value !== empty
+						? ARRAY_PROTO.slice.call(value)
+						: UNDEFINED;
+				};
+			}
+
+			return COMPONENT_PROTO.waitFor.call(me, type, predicate, timeout, remember);
+		},
+
 		/**
 		 * @inheritdoc core.pubsub.hub#peek
 		 */
@@ -1,7 +1,11 @@
 /**
  * @license MIT http://troopjs.mit-license.org/
  */
-define([ "when" ], function PipelineModule(when) {
+define([
+	"../../event/runner/collect",
+	"../../event/runner/invoke",
+	"when"
+], function PipelineModule(collect, invoke, when) {
 	"use strict";
 
 	/**
@@ -16,42 +20,21 @@ define([ "when" ], function PipelineModule(when) {
 	var OBJECT_TOSTRING = Object.prototype.toString;
 	var TOSTRING_ARGUMENTS = "[object Arguments]";
 	var TOSTRING_ARRAY = "[object Array]";
-	var CONTEXT = "context";
-	var CALLBACK = "callback";
-	var HEAD = "head";
-	var NEXT = "next";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
 
 	/**
 	 * @method constructor
 	 * @inheritdoc
 	 * @localdoc Run event handlers **asynchronously** in "pipeline", passing the resolved return value (unless it's undefined) of the previous listen to the next handler as arguments.
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle before rejecting with a `TimeoutError`
 	 * @return {Promise}
 	 */
 	return function pipeline(event, handlers, args) {
-		var context = event[CONTEXT];
-		var callback = event[CALLBACK];
-		var candidate;
-		var candidates = [];
+		var candidates = collect.call(this, event, handlers);
 		var candidatesCount = 0;
-
-		// Iterate handlers
-		for (candidate = handlers[HEAD]; candidate !== UNDEFINED; candidate = candidate[NEXT]) {
-			// Filter candidate[CONTEXT] if we have context
-			if (context !== UNDEFINED && candidate[CONTEXT] !== context) {
-				continue;
-			}
-
-			// Filter candidate[CALLBACK] if we have callback
-			if (callback && candidate[CALLBACK] !== callback) {
-				continue;
-			}
-
-			// Add to candidates
-			candidates[candidatesCount++] = candidate;
-		}
-
-		// Reset candidatesCount
-		candidatesCount = 0;
+		var token = event[TOKEN];
 
 		/**
 		 * Internal function for piped execution of candidates candidates
@@ -63,7 +46,6 @@ define([ "when" ], function PipelineModule(when) {
 			/*jshint curly:false*/
 			var candidate;
 			var type;
-			var callback;
 
 			// Check that result is not UNDEFINED and not equals to args
 			if (result !== UNDEFINED && result !== args) {
@@ -74,11 +56,14 @@ define([ "when" ], function PipelineModule(when) {
 					: [ result ];                                                  // otherwise we should just wrap it in a new array
 			}
 
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
 			// Return promise of next callback, or promise resolved with args
 			if ((candidate = candidates[candidatesCount++]) !== UNDEFINED) {
-				// make sure the first handler is always called inside of a promise
-				callback = when.lift(candidate[CALLBACK]);
-				return when(callback.apply(candidate[CONTEXT], args), next);
+				return when(invoke(event, candidate, args), next);
 			} else {
 				return when.resolve(args);
 			}
@@ -1,7 +1,7 @@
 /**
  * @license MIT http://troopjs.mit-license.org/
  */
-define([ "poly/array" ], function SequenceModule() {
+define([ "../../event/runner/sync" ], function SequenceModule(sync) {
 	"use strict";
 
 	/**
@@ -12,52 +12,9 @@ define([ "poly/array" ], function SequenceModule() {
 	 * @alias feature.runner
 	 */
 
-	var UNDEFINED;
-	var HEAD = "head";
-	var NEXT = "next";
-	var CALLBACK = "callback";
-	var CONTEXT = "context";
-
 	/**
 	 * @method constructor
-	 * @inheritdoc
-	 * @localdoc Run event handlers **synchronously** in "sequence", passing to each handler the same arguments from emitting.
-	 * @return {*[]} Result from each executed handler
+	 * @inheritdoc core.event.runner.sync#constructor
 	 */
-	return function sequence(event, handlers, args) {
-		var context = event[CONTEXT];
-		var callback = event[CALLBACK];
-		var candidate;
-		var candidates = [];
-		var candidatesCount = 0;
-		var result;
-
-		// Iterate handlers
-		for (candidate = handlers[HEAD]; candidate !== UNDEFINED; candidate = candidate[NEXT]) {
-			// Filter candidate[CONTEXT] if we have context
-			if (context !== UNDEFINED && candidate[CONTEXT] !== context) {
-				continue;
-			}
-
-			// Filter candidate[CALLBACK] if we have callback
-			if (callback && candidate[CALLBACK] !== callback) {
-				continue;
-			}
-
-			candidates[candidatesCount++] = candidate;
-		}
-
-		// Reduce and return
-		return candidates.reduce(function (current, candidate) {
-			// Store result if not UNDEFINED
-			if (current !== UNDEFINED) {
-				result = current;
-			}
-
-			// If result is _not_ false, return result of candidate[CALLBACK], otherwise just false
-			return result !== false
-				? candidate[CALLBACK].apply(candidate[CONTEXT], args)
-				: result;
-		}, UNDEFINED);
-	}
+	return sync;
 });
@@ -0,0 +1,156 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"../../component/base",
+	"../report",
+	"../../pubsub/hub",
+	"when",
+	"poly/array"
+], function AdapterModule(Component, report, hub, when) {
+	"use strict";
+
+	/**
+	 * Creates a bridge adapter between {@link core.event.emitter emitters} (or the {@link core.pubsub.hub hub}) and a
+	 * foreign kind of event source, see {@link core.event.bridge.node} and {@link core.event.bridge.dom}.
+	 * @class core.event.bridge.adapter
+	 * @private
+	 * @static
+	 */
+
+	var UNDEFINED;
+	var ARRAY_SLICE = Array.prototype.slice;
+	var SIG_FINALIZE = "sig/finalize";
+
+	/**
+	 * Ties teardown to the finalization of owner
+	 * @ignore
+	 * @param {core.component.base} [owner] Component owning the bridge
+	 * @param {Function} teardown Teardown function
+	 * @return {Function} Teardown function that also unties it from owner
+	 */
+	function own(owner, teardown) {
+		var done = false;
+
+		function finalize() {
+			if (done) {
+				return;
+			}
+
+			done = true;
+
+			teardown();
+
+			if (owner !== UNDEFINED) {
+				owner.off(SIG_FINALIZE, finalize);
+			}
+		}
+
+		if (owner !== UNDEFINED) {
+			owner.on(SIG_FINALIZE, finalize);
+		}
+
+		return finalize;
+	}
+
+	/**
+	 * @method constructor
+	 * @param {Function} listen Adds a listener to a foreign source, called with `(source, type, listener)`
+	 * @param {Function} unlisten Removes a listener from a foreign source, called with `(source, type, listener)`
+	 * @param {Function} dispatch Dispatches an event on a foreign target, called with `(target, type, args)`
+	 * @param {Function} [wrap] Maps the arguments a foreign listener received to the arguments to emit, defaults to all
+	 * @return {Object} Adapter with `from` and `to` methods
+	 */
+	return function adapter(listen, unlisten, dispatch, wrap) {
+		wrap = wrap || function (args) {
+			return args;
+		};
+
+		return {
+			/**
+			 * Forwards events from a foreign source to an emitter (or the hub, by {@link core.pubsub.hub#publish publishing}).
+			 *
+			 * Nobody awaits the forwarded emissions, so failures are reported by target as {@link core.event.emitter#errorEvent}
+			 * or logged.
+			 * @param {Object} source Foreign source to forward events from
+			 * @param {core.event.emitter} target Emitter to forward events to
+			 * @param {String|String[]} types Event types to forward
+			 * @param {String} [prefix=""] Prefix of the event types on target, e.g. a topic prefix for the hub
+			 * @param {core.component.base} [owner] Component whose finalization tears down the bridge
+			 * @return {Function} Function that tears down the bridge
+			 */
+			"from": function from(source, target, types, prefix, owner) {
+				var listeners = [].concat(types).map(function (type) {
+					function listener() {
+						var args = wrap(ARRAY_SLICE.call(arguments));
+						var result;
+
+						args.unshift((prefix || "") + type);
+
+						// Publish on the hub, so topics are remembered
+						try {
+							result = target === hub
+								? hub.publish.apply(hub, args)
+								: target.emit.apply(target, args);
+						}
+						catch (e) {
+							result = when.reject(e);
+						}
+
+						// Nobody awaits this emission, log failures target did not re-emit as error events
+						report.forget(target, args[0], result);
+					}
+
+					listen(source, type, listener);
+
+					return [ type, listener ];
+				});
+
+				return own(owner, function () {
+					listeners.forEach(function (listener) {
+						unlisten(source, listener[0], listener[1]);
+					});
+				});
+			},
+
+			/**
+			 * Forwards events from an emitter (or the hub) to a foreign target
+			 * @param {core.event.emitter} source Emitter to forward events from
+			 * @param {Object} target Foreign target to forward events to
+			 * @param {String|String[]} types Event types to forward
+			 * @param {String} [prefix=""] Prefix of the event types on source, e.g. a topic prefix for the hub
+			 * @param {core.component.base} [owner] Component whose finalization tears down the bridge
+			 * @return {Function} Function that tears down the bridge
+			 */
+			"to": function to(source, target, types, prefix, owner) {
+				var callbacks = [].concat(types).map(function (type) {
+					function callback() {
+						dispatch(target, type, ARRAY_SLICE.call(arguments));
+					}
+
+					// Subscribe through the on of source, so components signal (and e.g. gadgets subscribe hub topics).
+					// Components force the context to themselves, callback does not depend on it.
+					if (source instanceof Component) {
+						source.on((prefix || "") + type, callback);
+					}
+					else {
+						source.on((prefix || "") + type, target, callback);
+					}
+
+					return [ (prefix || "") + type, callback ];
+				});
+
+				return own(owner, function () {
+					callbacks.forEach(function (callback) {
+						if (source instanceof Component) {
+							source.off(callback[0], callback[1]);
+						}
+						else {
+							source.off(callback[0], target, callback[1]);
+						}
+					});
+				});
+			}
+		};
+	};
+});
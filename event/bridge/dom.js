@@ -0,0 +1,71 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "./adapter" ], function DOMBridgeModule(adapter) {
+	"use strict";
+
+	/**
+	 * Bridges events between DOM `EventTarget`s and {@link core.event.emitter emitters} or the {@link core.pubsub.hub hub}.
+	 *
+	 * 	// Publish "online" and "offline" of window on the hub as "window/online" and "window/offline"
+	 * 	var teardown = bridge.from(window, hub, [ "online", "offline" ], "window/");
+	 *
+	 * 	// Dispatch "change" of a component on its element, until the component is finalized
+	 * 	bridge.to(component, element, "change", "", component);
+	 *
+	 * Events forwarded from DOM are emitted with the DOM event as the only argument, events forwarded to DOM are dispatched
+	 * as `CustomEvent`s with the emitted arguments as `detail`.
+	 *
+	 * @class core.event.bridge.dom
+	 * @singleton
+	 */
+
+	var ADD_EVENT_LISTENER = "addEventListener";
+	var REMOVE_EVENT_LISTENER = "removeEventListener";
+	var DISPATCH_EVENT = "dispatchEvent";
+
+	/**
+	 * Creates a custom event
+	 * @ignore
+	 * @param {String} type Event type
+	 * @param {Array} detail Event detail
+	 * @return {CustomEvent}
+	 */
+	function customEvent(type, detail) {
+		var event;
+
+		// Use constructor if we can
+		if (typeof CustomEvent === "function") {
+			event = new CustomEvent(type, {
+				"detail": detail
+			});
+		}
+		// Otherwise fall back to createEvent
+		else {
+			event = document.createEvent("CustomEvent");
+			event.initCustomEvent(type, false, false, detail);
+		}
+
+		return event;
+	}
+
+	/**
+	 * @method from
+	 * @inheritdoc core.event.bridge.adapter#from
+	 */
+
+	/**
+	 * @method to
+	 * @inheritdoc core.event.bridge.adapter#to
+	 */
+
+	return adapter(function listen(source, type, listener) {
+		source[ADD_EVENT_LISTENER](type, listener, false);
+	}, function unlisten(source, type, listener) {
+		source[REMOVE_EVENT_LISTENER](type, listener, false);
+	}, function dispatch(target, type, args) {
+		target[DISPATCH_EVENT](customEvent(type, args));
+	}, function wrap(args) {
+		return args.slice(0, 1);
+	});
+});
@@ -0,0 +1,44 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "./adapter" ], function NodeBridgeModule(adapter) {
+	"use strict";
+
+	/**
+	 * Bridges events between Node style emitters (anything with `on`, `removeListener` and `emit`, like Node's
+	 * `events.EventEmitter`) and {@link core.event.emitter emitters} or the {@link core.pubsub.hub hub}.
+	 *
+	 * 	// Publish "data" and "end" of a stream on the hub as "stream/data" and "stream/end"
+	 * 	var teardown = bridge.from(stream, hub, [ "data", "end" ], "stream/");
+	 *
+	 * 	// Emit "change" of a component on a Node emitter, until the component is finalized
+	 * 	bridge.to(component, nodeEmitter, "change", "", component);
+	 *
+	 * Listeners receive the arguments of the forwarded event as is.
+	 *
+	 * @class core.event.bridge.node
+	 * @singleton
+	 */
+
+	var ON = "on";
+	var REMOVE_LISTENER = "removeListener";
+	var EMIT = "emit";
+
+	/**
+	 * @method from
+	 * @inheritdoc core.event.bridge.adapter#from
+	 */
+
+	/**
+	 * @method to
+	 * @inheritdoc core.event.bridge.adapter#to
+	 */
+
+	return adapter(function listen(source, type, listener) {
+		source[ON](type, listener);
+	}, function unlisten(source, type, listener) {
+		source[REMOVE_LISTENER](type, listener);
+	}, function dispatch(target, type, args) {
+		target[EMIT].apply(target, [ type ].concat(args));
+	});
+});
@@ -0,0 +1,34 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([], function CopyModule() {
+	"use strict";
+
+	/**
+	 * Shallow copies an event object, so the emitter (and components) can add to or change the event without modifying
+	 * the event object of the caller.
+	 * @class core.event.copy
+	 * @private
+	 * @static
+	 */
+
+	var OBJECT_HASOWNPROPERTY = Object.prototype.hasOwnProperty;
+
+	/**
+	 * @method constructor
+	 * @param {Object} event Event object
+	 * @return {Object} Copy of the event object
+	 */
+	return function copy(event) {
+		var result = {};
+		var key;
+
+		for (key in event) {
+			if (OBJECT_HASOWNPROPERTY.call(event, key)) {
+				result[key] = event[key];
+			}
+		}
+
+		return result;
+	};
+});
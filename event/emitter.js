@@ -3,15 +3,26 @@
  */
 define([
 	"../mixin/base",
-	"./runner/sequence"
-], function EventEmitterModule(Base, sequence) {
+	"./runner/sequence",
+	"./runner/sync",
+	"./runner/collect",
+	"./validate",
+	"./subscription",
+	"./iterator",
+	"./observable",
+	"./wait",
+	"./copy",
+	"./report",
+	"when",
+	"poly/array"
+], function EventEmitterModule(Base, sequence, sync, collect, validate, Subscription, Iterator, Observable, wait, copy, report, when) {
 	"use strict";
 
 	/**
 	 * This event module is heart of all TroopJS event-based whistles, from the API names it's aligned with Node's events module,
 	 * while behind the regularity it's powered by a highly customizable **event runner** mechanism, which makes it supports for both:
 	 *
-	 *  - **synchronous event**: all your event handlers are run in a single loop.
+	 *  - **synchronous event**: all your event handlers are run in a single loop, see {@link core.event.runner.sync}.
 	 *  - **async event with promise**: you can return a promise where the next handler will be called upon the
 	 *  completion of that promise.
 	 *
@@ -25,19 +36,356 @@ define([
 	 */
 
 	var UNDEFINED;
-	var ARRAY_SLICE = Array.prototype.slice;
+	var FALSE = false;
+	var TRUE = true;
+	var ARRAY_PROTO = Array.prototype;
+	var ARRAY_SLICE = ARRAY_PROTO.slice;
+	var OBJECT_HASOWNPROPERTY = Object.prototype.hasOwnProperty;
 	var OBJECT_TOSTRING = Object.prototype.toString;
 	var TOSTRING_STRING = "[object String]";
 	var HANDLERS = "handlers";
 	var LENGTH = "length";
 	var TYPE = "type";
 	var RUNNER = "runner";
+	var TIMEOUT = "timeout";
 	var CONTEXT = "context";
 	var CALLBACK = "callback";
 	var DATA = "data";
 	var HEAD = "head";
 	var TAIL = "tail";
 	var NEXT = "next";
+	var PREV = "prev";
+	var INDEX = "index";
+	var CONTEXTS = "contexts";
+	var STAMP = "__emitterStamp";
+	var ID = "id";
+	var PRIORITY = "priority";
+	var COUNT = "count";
+	var WARNED = "warned";
+	var MAX_LISTENERS = "maxListeners";
+	var BUFFER = "buffer";
+	var EVENT = "event";
+	var ARGS = "args";
+	var RESOLVE = "resolve";
+	var THROTTLE = "throttle";
+	var DEBOUNCE = "debounce";
+	var FRAME = "frame";
+	var PENDING = "pending";
+	var PROMISE = "promise";
+	var TIMER = "timer";
+	var REQUEST = "request";
+	var SCHEMA = "schema";
+	var VALIDATION = "validation";
+	var REJECT = "reject";
+	var ERRORS = "errors";
+	var INTERCEPTORS = "interceptors";
+	var BEFORE = "before";
+	var AFTER = "after";
+	var TRACER = "tracer";
+	var PAUSED = "paused";
+	var WILDCARDS = "wildcards";
+	var BUFFERED = "buffered";
+	var PATTERN = "pattern";
+	var HANDLER_COUNTER = 0;
+	var STAMP_COUNTER = 0;
+	var REQUEST_FRAME = typeof requestAnimationFrame === "function"
+		? requestAnimationFrame
+		: function (callback) {
+			return setTimeout(callback, 16);
+		};
+	var CANCEL_FRAME = typeof cancelAnimationFrame === "function"
+		? cancelAnimationFrame
+		: clearTimeout;
+
+	/**
+	 * Gets the stamp of an object, stamping it if it was not stamped before
+	 * @ignore
+	 * @param {*} object Object to stamp
+	 * @return {String} Stamp, or `"?"` if object can not be stamped
+	 */
+	function stamp(object) {
+		var type = typeof object;
+
+		// Only objects and functions that are extensible can be stamped
+		if (object === null || (type !== "object" && type !== "function") || !Object.isExtensible(object)) {
+			return "?";
+		}
+
+		// Stamp on the object itself, not inherited from its prototype
+		if (!OBJECT_HASOWNPROPERTY.call(object, STAMP)) {
+			Object.defineProperty(object, STAMP, {
+				"value": String(++STAMP_COUNTER)
+			});
+		}
+
+		return object[STAMP];
+	}
+
+	/**
+	 * Gets the index key of a context and callback
+	 * @ignore
+	 * @param {Object} context Context
+	 * @param {Function} callback Callback
+	 * @return {String} Index key
+	 */
+	function key(context, callback) {
+		return stamp(context) + ":" + stamp(callback);
+	}
+
+	/**
+	 * Indexes a handler in an index of a list of handlers
+	 * @ignore
+	 * @param {Object} handlers List of handlers
+	 * @param {String} name Name of the index, either by context and callback or by context only
+	 * @param {String} k Index key
+	 * @param {Object} handler Handler to index
+	 */
+	function index(handlers, name, k, handler) {
+		var handlersIndex = handlers[name] || (handlers[name] = {});
+
+		(handlersIndex[k] || (handlersIndex[k] = [])).push(handler);
+	}
+
+	/**
+	 * Removes a handler from an index of a list of handlers
+	 * @ignore
+	 * @param {Object} handlers List of handlers
+	 * @param {String} name Name of the index
+	 * @param {String} k Index key handler was indexed by
+	 * @param {Object} handler Handler to remove
+	 */
+	function unindex(handlers, name, k, handler) {
+		var bucket = handlers[name][k];
+
+		bucket.splice(bucket.indexOf(handler), 1);
+
+		if (bucket[LENGTH] === 0) {
+			delete handlers[name][k];
+		}
+	}
+
+	/**
+	 * Checks if a handler matches a context and callback
+	 * @ignore
+	 * @param {Object} handler Handler
+	 * @param {Object} [context] Context to match, any context matches if omitted
+	 * @param {Function} [callback] Callback (or the callback it proxies) to match, any callback matches if omitted
+	 * @return {Boolean}
+	 */
+	function matches(handler, context, callback) {
+		return (!context || handler[CONTEXT] === context)
+			&& (!callback || handler[CALLBACK] === callback || handler[CALLBACK][CALLBACK] === callback);
+	}
+
+	/**
+	 * Unlinks a handler from a list of handlers in constant time. Runners that collected the handler before still run it.
+	 * @ignore
+	 * @param {Object} handlers List of handlers
+	 * @param {Object} handler Handler to unlink
+	 */
+	function unlink(handlers, handler) {
+		var context = handler[CONTEXT];
+		var callback = handler[CALLBACK];
+		var previous = handler[PREV];
+		var next = handler[NEXT];
+
+		// Link previous -> next, or update handlers[HEAD]
+		if (previous !== UNDEFINED) {
+			previous[NEXT] = next;
+		}
+		else {
+			handlers[HEAD] = next;
+		}
+
+		// Link previous <- next, or update handlers[TAIL]
+		if (next !== UNDEFINED) {
+			next[PREV] = previous;
+		}
+		else {
+			handlers[TAIL] = previous;
+		}
+
+		// Remove empty HEAD and TAIL
+		if (handlers[HEAD] === UNDEFINED) {
+			delete handlers[HEAD];
+			delete handlers[TAIL];
+		}
+
+		delete handler[PREV];
+		delete handler[NEXT];
+
+		// Remove from indexes
+		unindex(handlers, INDEX, key(context, callback), handler);
+
+		if (callback[CALLBACK] !== UNDEFINED) {
+			unindex(handlers, INDEX, key(context, callback[CALLBACK]), handler);
+		}
+
+		unindex(handlers, CONTEXTS, stamp(context), handler);
+
+		// Update count
+		handlers[COUNT]--;
+	}
+
+	/**
+	 * Runs buffered emissions of a type through their runners, one after the other and in the order they were emitted
+	 * @ignore
+	 * @param {core.event.emitter} emitter Emitter the emissions were buffered on
+	 * @param {Object} handlers List of handlers with buffered emissions
+	 * @return {Promise} Promise that resolves once all buffered emissions are settled
+	 */
+	function flush(emitter, handlers) {
+		var buffer = handlers[BUFFER];
+
+		// Clear buffer
+		delete handlers[BUFFER];
+
+		emitter[BUFFERED].splice(emitter[BUFFERED].indexOf(handlers), 1);
+
+		// Start on next tick, so listeners added in the same tick all get notified
+		return buffer.reduce(function (promise, buffered) {
+			return promise.then(function () {
+				var result = when.try(execute, emitter, buffered[EVENT], handlers, buffered[ARGS]);
+
+				// Resolve the promise returned from emit
+				buffered[RESOLVE](result);
+
+				// Wait for result to settle before running the next emission, failures are reported through emit
+				return when.settle([ result ]);
+			});
+		}, when.resolve());
+	}
+
+	/**
+	 * Coalesces an emission with the other emissions of its type until the pending emission runs
+	 * @ignore
+	 * @param {core.event.emitter} emitter Emitter the emission was made on
+	 * @param {Function} emit Emit function to run the pending emission with
+	 * @param {Object} event Event object
+	 * @param {Object} handlers List of handlers of the event type
+	 * @param {Array} args Arguments of the emission
+	 * @return {Promise} Promise of the result of the pending emission
+	 */
+	function coalesce(emitter, emit, event, handlers, args) {
+		var pending = handlers[PENDING];
+		var debounce = event[DEBOUNCE];
+
+		// Create pending emission
+		if (pending === UNDEFINED) {
+			pending = handlers[PENDING] = {};
+			pending[PROMISE] = when.promise(function (resolve, reject) {
+				pending[RESOLVE] = resolve;
+				pending[REJECT] = reject;
+			});
+		}
+
+		// Last emission wins
+		pending[EVENT] = event;
+		pending[ARGS] = args;
+
+		/**
+		 * Runs the pending emission, without the coalescing options
+		 * @ignore
+		 */
+		function run() {
+			var emission = copy(pending[EVENT]);
+
+			// Clear pending emission
+			delete handlers[PENDING];
+
+			delete emission[THROTTLE];
+			delete emission[DEBOUNCE];
+			delete emission[FRAME];
+
+			// Settle pending promise, also if emit throws (e.g. with a synchronous runner)
+			try {
+				pending[RESOLVE](emit.apply(emitter, [ emission ].concat(pending[ARGS])));
+			}
+			catch (e) {
+				pending[REJECT](e);
+			}
+		}
+
+		// Debounce restarts the timer on every emission
+		if (debounce > 0) {
+			clearTimeout(pending[TIMER]);
+			CANCEL_FRAME(pending[REQUEST]);
+			delete pending[REQUEST];
+
+			pending[TIMER] = setTimeout(run, debounce);
+		}
+		// Throttle and frame only schedule the first emission
+		else if (pending[TIMER] === UNDEFINED && pending[REQUEST] === UNDEFINED) {
+			if (event[THROTTLE] > 0) {
+				pending[TIMER] = setTimeout(run, event[THROTTLE]);
+			}
+			else {
+				pending[REQUEST] = REQUEST_FRAME(run);
+			}
+		}
+
+		return pending[PROMISE];
+	}
+
+	/**
+	 * Executes an emission, running the runner of the event inside of the interceptors of the emitter and reporting failures
+	 * @ignore
+	 * @param {core.event.emitter} emitter Emitter to execute the emission on
+	 * @param {Object} event Event object
+	 * @param {Object} handlers List of handlers of the event type
+	 * @param {Array} args Arguments of the emission
+	 * @return {*} Result from the runner, or from the interceptors
+	 */
+	function execute(emitter, event, handlers, args) {
+		// Copy interceptors, so adding or removing interceptors does not affect this emission
+		var interceptors = emitter[INTERCEPTORS].slice(0);
+		var interceptorsCount = 0;
+		var interceptor;
+		var result;
+		var value;
+
+		// Run before hooks in order until one returns a result
+		while (result === UNDEFINED && interceptorsCount < interceptors[LENGTH]) {
+			interceptor = interceptors[interceptorsCount++];
+
+			if (interceptor[BEFORE] !== UNDEFINED) {
+				result = interceptor[BEFORE].call(emitter, event, handlers, args);
+			}
+		}
+
+		// Not short-circuited, get result from runner
+		if (result === UNDEFINED) {
+			// Report failures of synchronous runners
+			try {
+				result = event[RUNNER].call(emitter, event, handlers, args);
+			}
+			catch (e) {
+				report(emitter, event, e);
+
+				throw e;
+			}
+
+			// Report failures, but still reject
+			if (when.isPromiseLike(result)) {
+				result = when(result).otherwise(function (reason) {
+					report(emitter, event, reason);
+
+					throw reason;
+				});
+			}
+		}
+
+		// Run after hooks of the interceptors we ran in reverse order
+		while (interceptorsCount-- > 0) {
+			interceptor = interceptors[interceptorsCount];
+
+			if (interceptor[AFTER] !== UNDEFINED && (value = interceptor[AFTER].call(emitter, event, result, args)) !== UNDEFINED) {
+				result = value;
+			}
+		}
+
+		return result;
+	}
 
 	/**
 	 * @method constructor
@@ -51,46 +399,131 @@ define([
 		 * @property {Array} handlers
 		 */
 		this[HANDLERS] = [];
+
+		/**
+		 * Interceptors of this emitter, manage via {@link #addInterceptor} and {@link #removeInterceptor}
+		 * @protected
+		 * @readonly
+		 * @property {Object[]} interceptors
+		 */
+		this[INTERCEPTORS] = [];
+
+		/**
+		 * Lists of handlers that have buffered emissions, see {@link #emit}
+		 * @private
+		 * @readonly
+		 * @property {Object[]} buffered
+		 */
+		this[BUFFERED] = [];
 	}, {
 		"displayName" : "core/event/emitter",
 
+		/**
+		 * Default number of milliseconds runners wait for a handler to settle before failing it, used when an emitted event
+		 * does not specify a `timeout` itself. Zero (the default) waits forever.
+		 * @property {Number} timeout
+		 */
+		"timeout" : 0,
+
+		/**
+		 * Default maximum number of listeners per event type, adding more listeners logs a warning about a possible leak.
+		 * Zero disables the warning. Use {@link #setMaxListeners} to change the maximum for a particular type.
+		 * @property {Number} maxListeners
+		 */
+		"maxListeners" : 10,
+
+		/**
+		 * Default runner used when an emitted event does not specify a `runner` itself. Use {@link core.event.runner.sync}
+		 * to emit synchronously.
+		 * @property {Function} runner
+		 */
+		"runner" : sequence,
+
+		/**
+		 * What to do with emissions whose arguments do not match the schema of their type (see {@link #setSchema}):
+		 *
+		 *  - `"reject"`: reject the emission before any listener runs, or throw if the emission runs {@link core.event.runner.sync synchronously}.
+		 *  - `"log"`: log a warning and run the listeners anyway.
+		 *  - `false`: skip checking altogether, e.g. in production.
+		 *
+		 * @property {"reject"|"log"|Boolean} validation
+		 */
+		"validation" : REJECT,
+
+		/**
+		 * Type of the event that failed emissions are re-emitted as, with the reason, the type of the failed emission and
+		 * the context of the handler that failed as arguments. If nobody listens to it failures are only passed on to
+		 * the caller of {@link #emit}, and logged where nobody awaits the emission (e.g. events forwarded by bridges).
+		 *
+		 * 	emitter.on("error", this, function (reason, type, context) {
+		 * 		// handle failure
+		 * 	});
+		 *
+		 * @property {String} errorEvent
+		 */
+		"errorEvent" : "error",
+
+		/**
+		 * Function that is called with a record of how each handler ran, used when an emitted event does not specify a
+		 * `tracer` itself. Leave undefined (the default) to disable tracing.
+		 *
+		 * 	hub.tracer = function (record) {
+		 * 		console.log(record.type, record.context, record.callback, record.duration + "ms", record.state);
+		 * 	};
+		 *
+		 * Each record has the event `type`, the `context` of the handler (as string), the name of the handler `callback`,
+		 * the `started` and `finished` timestamps, the `duration` in milliseconds and the `state` the handler settled in
+		 * (`"fulfilled"` or `"rejected"`) with its `value` or `reason`. To report records as events, emit them from the
+		 * tracer on another emitter.
+		 *
+		 * @property {Function} [tracer]
+		 */
+		"tracer" : UNDEFINED,
+
 		/**
 		 * Adds a listener for the specified event type.
+		 *
+		 * The type may contain wildcard segments, in which case the listener is also notified of every emitted type matching it:
+		 *
+		 *  - `*` matches exactly one segment, `user/*` matches `user/login` but not `user/login/failed`.
+		 *  - `**` matches one or more segments, `user/**` matches both `user/login` and `user/login/failed`.
+		 *
+		 * Listeners are called in order of priority, listeners with the same priority are called in the order they were added.
+		 *
 		 * @chainable
 		 * @param {String} type The event type to subscribe to.
 		 * @param {Object} context The context to scope the callback to.
 		 * @param {Function} callback The event listener function.
 		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
 		 */
-		"on" : function on(type, context, callback, data) {
+		"on" : function on(type, context, callback, data, priority) {
 			var me = this;
 			var handlers;
 			var handler;
+			var previous;
+			var max;
 
 			// Get callback from next arg
 			if (callback === UNDEFINED) {
 				throw new Error("no callback provided");
 			}
 
-			// Have handlers
-			if ((handlers = me[HANDLERS][type]) !== UNDEFINED) {
-				// Create new handler
-				handler = {};
-
-				// Prepare handler
-				handler[CALLBACK] = callback;
-				handler[CONTEXT] = context;
-				handler[DATA] = data;
-
-				// Set tail handler
-				handlers[TAIL] = TAIL in handlers
-					// Have tail, update handlers[TAIL][NEXT] to point to handler
-					? handlers[TAIL][NEXT] = handler
-					// Have no tail, update handlers[HEAD] to point to handler
-					: handlers[HEAD] = handler;
-			}
+			// Default priority
+			priority = priority || 0;
+
+			// Create new handler
+			handler = {};
+
+			// Prepare handler
+			handler[ID] = ++HANDLER_COUNTER;
+			handler[CALLBACK] = callback;
+			handler[CONTEXT] = context;
+			handler[DATA] = data;
+			handler[PRIORITY] = priority;
+
 			// No handlers
-			else {
+			if ((handlers = me[HANDLERS][type]) === UNDEFINED) {
 				// Get HANDLERS
 				handlers = me[HANDLERS];
 
@@ -99,20 +532,241 @@ define([
 
 				// Prepare handlers
 				handlers[TYPE] = type;
-				handlers[HEAD] = handlers[TAIL] = handler = {};
+			}
+
+			// Have no tail, update handlers[HEAD] and handlers[TAIL] to point to handler
+			if (!(TAIL in handlers)) {
+				handlers[HEAD] = handlers[TAIL] = handler;
+			}
+			// Tail has the same or higher priority, update handlers[TAIL][NEXT] to point to handler
+			else if (handlers[TAIL][PRIORITY] >= priority) {
+				handler[PREV] = handlers[TAIL];
+				handlers[TAIL] = handlers[TAIL][NEXT] = handler;
+			}
+			// Head has lower priority, update handler[NEXT] to point to handlers[HEAD]
+			else if (handlers[HEAD][PRIORITY] < priority) {
+				handler[NEXT] = handlers[HEAD];
+				handlers[HEAD] = handlers[HEAD][PREV] = handler;
+			}
+			// Otherwise insert handler after the last handler with the same or higher priority
+			else {
+				for (previous = handlers[HEAD]; previous[NEXT][PRIORITY] >= priority; previous = previous[NEXT]);
+
+				handler[PREV] = previous;
+				handler[NEXT] = previous[NEXT];
+				previous[NEXT] = previous[NEXT][PREV] = handler;
+			}
 
-				// Prepare handler
-				handler[CALLBACK] = callback;
-				handler[CONTEXT] = context;
-				handler[DATA] = data;
+			// Index handler by context and callback (and the callback it proxies), and by context only
+			index(handlers, INDEX, key(context, callback), handler);
+
+			if (callback[CALLBACK] !== UNDEFINED) {
+				index(handlers, INDEX, key(context, callback[CALLBACK]), handler);
+			}
+
+			index(handlers, CONTEXTS, stamp(context), handler);
+
+			// Update count
+			handlers[COUNT] = (handlers[COUNT] || 0) + 1;
+
+			// Invalidate cached wildcard handlers, unless type is known not to be a wildcard type
+			if (handlers[PATTERN] !== FALSE) {
+				delete me[WILDCARDS];
+			}
+
+			// Flush emissions that were buffered while there were no listeners, of this type or of types it matches
+			me[BUFFERED].slice(0).forEach(function (buffered) {
+				if (buffered === handlers || collect.call(me, {}, buffered)[LENGTH] > 0) {
+					flush(me, buffered);
+				}
+			});
+
+			// Warn (once) if we exceed the maximum number of listeners
+			if (handlers[WARNED] !== TRUE && (max = me.getMaxListeners(type)) > 0 && handlers[COUNT] > max) {
+				handlers[WARNED] = TRUE;
+
+				me.warn("possible listener leak detected, " + handlers[COUNT] + " listeners added for '" + type + "' on " + me.toString()
+					+ " (maximum is " + max + "), listener contexts: " + me.listeners(type)
+					.map(function (listener) {
+						return String(listener[CONTEXT]);
+					})
+					.join(", "));
 			}
 
 			return me;
 		},
 
+		/**
+		 * Adds a one-shot listener for the specified event type, the listener is removed before it's called for the first time.
+		 * @chainable
+		 * @param {String} type The event type to subscribe to.
+		 * @param {Object} context The context to scope the callback to.
+		 * @param {Function} callback The event listener function.
+		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
+		 */
+		"once" : function once(type, context, callback, data, priority) {
+			var me = this;
+			var called = FALSE;
+			var proxy;
+
+			// Get callback from next arg
+			if (callback === UNDEFINED) {
+				throw new Error("no callback provided");
+			}
+
+			proxy = function () {
+				// Only call callback the first time
+				if (!called) {
+					called = TRUE;
+
+					// Remove proxy before calling callback
+					me.off(type, context, proxy);
+
+					return callback.apply(this, arguments);
+				}
+			};
+
+			// Remember callback so we can remove by it
+			proxy[CALLBACK] = callback;
+
+			return me.on(type, context, proxy, data, priority);
+		},
+
+		/**
+		 * Adds a listener for the specified event type like {@link #on} does, but returns a {@link core.event.subscription handle}
+		 * to remove, pause or resume exactly this listener.
+		 *
+		 * 	var subscription = emitter.listen("foo", this, function () {
+		 * 		// handle foo
+		 * 	});
+		 *
+		 * 	subscription.remove();
+		 *
+		 * @param {String} type The event type to subscribe to.
+		 * @param {Object} context The context to scope the callback to.
+		 * @param {Function} callback The event listener function.
+		 * @param {*} [data] Handler data
+		 * @param {Number} [priority=0] Handler priority, listeners with a higher priority are called first.
+		 * @return {core.event.subscription} Handle of the listener
+		 */
+		"listen" : function listen(type, context, callback, data, priority) {
+			var me = this;
+			var listener = {};
+			var subscription;
+			var proxy = function () {
+				// Skip callback while paused
+				if (!subscription[PAUSED]) {
+					return callback.apply(this, arguments);
+				}
+			};
+
+			// Remember callback so we can remove by it
+			proxy[CALLBACK] = callback;
+
+			// Describe listener
+			listener[TYPE] = type;
+			listener[CONTEXT] = context;
+			listener[CALLBACK] = callback;
+			listener[DATA] = data;
+			listener[PRIORITY] = priority || 0;
+
+			subscription = Subscription(listener, function () {
+				me.off(type, context, proxy);
+			});
+
+			me.on(type, context, proxy, data, priority);
+
+			return subscription;
+		},
+
+		/**
+		 * Iterates over emissions of the specified event type, yielding the arguments of each emission. The listener is
+		 * removed when the iterator {@link core.event.iterator#return returns}, e.g. when a `for await` loop exits.
+		 *
+		 * 	for await (const [ x, y ] of emitter.iterate("move")) {
+		 * 		// handle move
+		 * 	}
+		 *
+		 * @param {String} type The event type to iterate over.
+		 * @param {Number} [bound=100] Maximum number of emissions to buffer while nobody awaits the next one.
+		 * @return {core.event.iterator} Async iterator
+		 */
+		"iterate" : function iterate(type, bound) {
+			var me = this;
+
+			return Iterator(function (listener) {
+				return me.listen(type, me, listener);
+			}, bound);
+		},
+
+		/**
+		 * Observes emissions of the specified event type, the returned {@link core.event.observable observable} emits the
+		 * arguments of each emission. A listener is added for every subscription, and removed when it unsubscribes.
+		 *
+		 * Exceptions thrown by observers do not break the emission, they are re-emitted as {@link #errorEvent} or logged.
+		 *
+		 * 	emitter.observe("move").subscribe(function (args) {
+		 * 		// handle move
+		 * 	});
+		 *
+		 * @param {String} type The event type to observe.
+		 * @return {core.event.observable} Observable of emission arguments
+		 */
+		"observe" : function observe(type) {
+			var me = this;
+			var event = {};
+
+			event[TYPE] = type;
+
+			return Observable(function (observer) {
+				var subscription = me.listen(type, me, function () {
+					observer.next(ARRAY_SLICE.call(arguments));
+				});
+
+				return function () {
+					subscription.remove();
+				};
+			}, function (reason) {
+				report(me, event, reason, TRUE);
+			});
+		},
+
+		/**
+		 * Waits for the next emission of the specified event type (that matches a predicate).
+		 *
+		 * 	emitter.waitFor("status", function (status) {
+		 * 		return status === "ready";
+		 * 	}, 1000).then(function (args) {
+		 * 		// ready
+		 * 	});
+		 *
+		 * @param {String} type The event type to wait for.
+		 * @param {Function} [predicate] Called with the args of each emission, only emissions it returns truthy for match.
+		 * @param {Number} [timeout] Milliseconds to wait before rejecting with a `TimeoutError`, waits forever if omitted.
+		 * @return {Promise} Promise of the args of the next matching emission
+		 */
+		"waitFor" : function waitFor(type, predicate, timeout) {
+			var me = this;
+
+			// Shift timeout if there is no predicate
+			if (typeof predicate === "number") {
+				timeout = predicate;
+				predicate = UNDEFINED;
+			}
+
+			return wait(function (listener) {
+				return me.listen(type, me, listener);
+			}, type, predicate, timeout);
+		},
+
 		/**
 		 * Remove callback(s) from a subscribed event type, if no callback is specified,
 		 * remove all callbacks of this type.
+		 *
+		 * Removing all callbacks, a callback with its context or all callbacks of a context takes time proportional to the
+		 * number of callbacks removed, not to the number of callbacks of the type. Emissions that are running keep running
+		 * the callbacks they started with.
 		 * @chainable
 		 * @param {String} type The event type subscribed to
 		 * @param {Object} [context] The context to scope the callback to remove
@@ -122,61 +776,291 @@ define([
 			var me = this;
 			var handlers;
 			var handler;
-			var head;
-			var tail;
+			var next;
 
-			// Have handlers
-			if ((handlers = me[HANDLERS][type]) !== UNDEFINED) {
-				// Have HEAD in handlers
-				if (HEAD in handlers) {
-					// Iterate handlers
-					for (handler = handlers[HEAD]; handler !== UNDEFINED; handler = handler[NEXT]) {
-						// Should we remove?
-						remove : {
-							// If no context or context does not match we should break
-							if (context && handler[CONTEXT] !== context) {
-								break remove;
-							}
-
-							// If no callback or callback does not match we should break
-							if (callback && handler[CALLBACK] !== callback) {
-								break remove;
-							}
-
-							// Remove this handler, just continue
-							continue;
-						}
+			// Have handlers with HEAD
+			if ((handlers = me[HANDLERS][type]) !== UNDEFINED && HEAD in handlers) {
+				// No context and no callback, remove all handlers
+				if (!context && !callback) {
+					delete handlers[HEAD];
+					delete handlers[TAIL];
+					delete handlers[INDEX];
+					delete handlers[CONTEXTS];
 
-						// It there's no head - link head -> tail -> handler
-						if (!head) {
-							head = tail = handler;
+					handlers[COUNT] = 0;
+				}
+				// Context and callback, look up the handlers in the index
+				else if (context && callback) {
+					(handlers[INDEX][key(context, callback)] || ARRAY_PROTO).slice(0).forEach(function (handler) {
+						if (matches(handler, context, callback)) {
+							unlink(handlers, handler);
 						}
-						// Otherwise just link tail -> tail[NEXT] -> handler
-						else {
-							tail = tail[NEXT] = handler;
+					});
+				}
+				// Context only, look up the handlers in the context index
+				else if (context) {
+					(handlers[CONTEXTS][stamp(context)] || ARRAY_PROTO).slice(0).forEach(function (handler) {
+						if (matches(handler, context)) {
+							unlink(handlers, handler);
+						}
+					});
+				}
+				// Otherwise iterate handlers
+				else {
+					for (handler = handlers[HEAD]; handler !== UNDEFINED; handler = next) {
+						next = handler[NEXT];
+
+						if (matches(handler, context, callback)) {
+							unlink(handlers, handler);
 						}
 					}
+				}
 
-					// If we have both head and tail we should update handlers
-					if (head && tail) {
-						// Set handlers HEAD and TAIL
-						handlers[HEAD] = head;
-						handlers[TAIL] = tail;
+				// Allow to warn again once all handlers are removed
+				if (handlers[COUNT] === 0) {
+					delete handlers[WARNED];
+				}
 
-						// Make sure to remove NEXT from tail
-						delete tail[NEXT];
-					}
-					// Otherwise we remove the handlers list
-					else {
-						delete handlers[HEAD];
-						delete handlers[TAIL];
-					}
+				// Invalidate cached wildcard handlers, unless type is known not to be a wildcard type
+				if (handlers[PATTERN] !== FALSE) {
+					delete me[WILDCARDS];
 				}
 			}
 
 			return me;
 		},
 
+		/**
+		 * Lists the event types that have listeners, in the order the types were first listened to.
+		 *
+		 * **Note:** Wildcard types are listed as they were added, not expanded to the types they match.
+		 * @return {String[]} Event types
+		 */
+		"eventNames" : function eventNames() {
+			return this[HANDLERS]
+				.filter(function (handlers) {
+					return HEAD in handlers;
+				})
+				.map(function (handlers) {
+					return handlers[TYPE];
+				});
+		},
+
+		/**
+		 * Counts the listeners for the specified event type.
+		 * @param {String} type The event type
+		 * @return {Number} Number of listeners
+		 */
+		"listenerCount" : function listenerCount(type) {
+			var handlers;
+
+			return (handlers = this[HANDLERS][type]) !== UNDEFINED && HEAD in handlers
+				? handlers[COUNT]
+				: 0;
+		},
+
+		/**
+		 * Sets the maximum number of listeners, either the default or for a particular event type.
+		 * Adding more listeners than the maximum logs a warning (once per type) with the contexts of the listeners.
+		 * @chainable
+		 * @param {Number} max Maximum number of listeners, zero disables the warning.
+		 * @param {String} [type] The event type, if omitted the default maximum is set.
+		 */
+		"setMaxListeners" : function setMaxListeners(max, type) {
+			var me = this;
+			var handlers;
+
+			// No type, set default
+			if (type === UNDEFINED) {
+				me[MAX_LISTENERS] = max;
+			}
+			// Otherwise set on type handlers
+			else {
+				// Get handlers[type] as handlers
+				if ((handlers = me[HANDLERS][type]) === UNDEFINED) {
+					// Get HANDLERS
+					handlers = me[HANDLERS];
+
+					// Create type handlers
+					handlers = handlers[handlers[LENGTH]] = handlers[type] = {};
+
+					// Prepare handlers
+					handlers[TYPE] = type;
+				}
+
+				handlers[MAX_LISTENERS] = max;
+
+				// Allow to warn again
+				delete handlers[WARNED];
+			}
+
+			return me;
+		},
+
+		/**
+		 * Gets the maximum number of listeners, either the default or for a particular event type.
+		 * @param {String} [type] The event type
+		 * @return {Number} Maximum number of listeners, zero if disabled.
+		 */
+		"getMaxListeners" : function getMaxListeners(type) {
+			var me = this;
+			var handlers;
+
+			return type !== UNDEFINED && (handlers = me[HANDLERS][type]) !== UNDEFINED && MAX_LISTENERS in handlers
+				? handlers[MAX_LISTENERS]
+				: me[MAX_LISTENERS];
+		},
+
+		/**
+		 * Adds an interceptor that runs around every emission on this emitter, right before (and after) the runner executes.
+		 * Interceptors run in the order they were added, their `after` hooks in reverse order. Both hooks are called in the
+		 * context of this emitter.
+		 *
+		 * 	emitter.addInterceptor({
+		 * 		"before": function (event, handlers, args) {
+		 * 			// Veto emissions of "secret"
+		 * 			if (event.type === "secret") {
+		 * 				return when.reject(new Error("vetoed"));
+		 * 			}
+		 * 		},
+		 * 		"after": function (event, result, args) {
+		 * 			var started = +new Date();
+		 *
+		 * 			return when(result).tap(function () {
+		 * 				metrics.record(event.type, +new Date() - started);
+		 * 			});
+		 * 		}
+		 * 	});
+		 *
+		 * @chainable
+		 * @param {Object} interceptor The interceptor
+		 * @param {Function} [interceptor.before] Called with `(event, handlers, args)` before the runner executes. The event
+		 * object and the args array can be modified in place. Returning anything but `undefined` short-circuits the emission,
+		 * skipping the runner and the interceptors after this one, with the returned value as the result.
+		 * @param {Function} [interceptor.after] Called with `(event, result, args)` after the runner executed (or a `before`
+		 * hook short-circuited), returning anything but `undefined` replaces the result.
+		 */
+		"addInterceptor" : function addInterceptor(interceptor) {
+			var me = this;
+
+			me[INTERCEPTORS].push(interceptor);
+
+			return me;
+		},
+
+		/**
+		 * Removes an interceptor.
+		 * @chainable
+		 * @param {Object} interceptor The interceptor to remove
+		 */
+		"removeInterceptor" : function removeInterceptor(interceptor) {
+			var me = this;
+
+			me[INTERCEPTORS] = me[INTERCEPTORS].filter(function (candidate) {
+				return candidate !== interceptor;
+			});
+
+			return me;
+		},
+
+		/**
+		 * Sets the schema that the arguments of emissions of an event type have to match, see {@link core.event.validate}
+		 * for the supported subset of JSON Schema. The arguments are validated as an array, so use a tuple to describe
+		 * each argument:
+		 *
+		 * 	emitter.setSchema("user/login", {
+		 * 		"type": "array",
+		 * 		"items": [{
+		 * 			"type": "object",
+		 * 			"required": [ "name" ],
+		 * 			"properties": {
+		 * 				"name": { "type": "string", "minLength": 1 }
+		 * 			}
+		 * 		}]
+		 * 	});
+		 *
+		 * How invalid emissions are handled depends on {@link #validation}.
+		 * @chainable
+		 * @param {String} type The event type
+		 * @param {Object} [schema] The schema, omit to remove the schema of the type
+		 */
+		"setSchema" : function setSchema(type, schema) {
+			var me = this;
+			var handlers;
+
+			// Get handlers[type] as handlers
+			if ((handlers = me[HANDLERS][type]) === UNDEFINED) {
+				// Get HANDLERS
+				handlers = me[HANDLERS];
+
+				// Create type handlers
+				handlers = handlers[handlers[LENGTH]] = handlers[type] = {};
+
+				// Prepare handlers
+				handlers[TYPE] = type;
+			}
+
+			if (schema === UNDEFINED) {
+				delete handlers[SCHEMA];
+			}
+			else {
+				handlers[SCHEMA] = schema;
+			}
+
+			return me;
+		},
+
+		/**
+		 * Gets the schema of an event type.
+		 * @param {String} type The event type
+		 * @return {Object} The schema, or undefined if the type has no schema
+		 */
+		"getSchema" : function getSchema(type) {
+			var handlers;
+
+			return (handlers = this[HANDLERS][type]) !== UNDEFINED
+				? handlers[SCHEMA]
+				: UNDEFINED;
+		},
+
+		/**
+		 * Describes the listeners for the specified event type, in the order they are called.
+		 * @param {String} type The event type
+		 * @return {Object[]} Listeners
+		 * @return {String} return.type The event type
+		 * @return {Object} return.context The context the callback is scoped to
+		 * @return {Function} return.callback The event listener function
+		 * @return {*} return.data Handler data
+		 * @return {Number} return.priority Handler priority
+		 */
+		"listeners" : function listeners(type) {
+			var result = [];
+			var handlers;
+			var handler;
+			var callback;
+			var listener;
+
+			// Have handlers
+			if ((handlers = this[HANDLERS][type]) !== UNDEFINED) {
+				// Iterate handlers
+				for (handler = handlers[HEAD]; handler !== UNDEFINED; handler = handler[NEXT]) {
+					callback = handler[CALLBACK];
+
+					// Describe handler, unwrapping callbacks added with once
+					listener = {};
+					listener[TYPE] = type;
+					listener[CONTEXT] = handler[CONTEXT];
+					listener[CALLBACK] = callback[CALLBACK] || callback;
+					listener[DATA] = handler[DATA];
+					listener[PRIORITY] = handler[PRIORITY];
+
+					result.push(listener);
+				}
+			}
+
+			return result;
+		},
+
 		/**
 		 * Trigger an event which notifies each of the listeners of their subscribing,
 		 * optionally pass data values to the listeners.
@@ -185,29 +1069,57 @@ define([
 		 *  with the same argument data specified by the {@link #emit} function.
 		 *  Each handler will wait for the completion for the previous one if it returns a promise.
 		 *
+		 *  Listeners of wildcard types matching the emitted type are notified together with the listeners of the type itself,
+		 *  in the order they were added.
+		 *
+		 *  Emissions of high-frequency events can be coalesced, only the last emission made while coalescing runs, and all
+		 *  coalesced emissions share the promise of the one that runs:
+		 *
+		 * 	emitter.emit({
+		 * 		"type": "window/resize",
+		 * 		"debounce": 100
+		 * 	}, width, height);
+		 *
 		 * @param {String|Object} event The event type to emit, or an event object
 		 * @param {String} [event.type] The event type name.
-		 * @param {Function} [event.runner] The runner function that determinate how the handlers are executed, overrides the
-		 * default behaviour of the event emitting.
-		 * @param {...*} [args] Data params that are passed to the listener function.
-		 * @return {*} Result returned from runner.
+		 * @param {Function} [event.runner] The runner function that determinate how the handlers are executed, defaults to
+		 * {@link #runner}.
+		 * @param {String} [event.policy] How the runner handles failing handlers, see {@link core.event.runner.sequence}.
+		 * @param {Number} [event.timeout] Milliseconds the runner waits for each handler to settle, defaults to {@link #timeout}.
+		 * @param {core.event.token} [event.token] Cancellation token the runner checks between handlers.
+		 * @param {Function} [event.tracer] Function to report how each handler ran to, defaults to {@link #tracer}.
+		 * @param {Number} [event.buffer] Maximum number of emissions of this type to buffer while nobody listens, buffered
+		 * emissions are run (in order) once a listener for the type (or a wildcard type matching it) is added. Emissions beyond
+		 * the maximum are not buffered.
+		 * @param {Number} [event.throttle] Coalesce emissions of this type for this many milliseconds after the first one.
+		 * @param {Number} [event.debounce] Coalesce emissions of this type until none were made for this many milliseconds.
+		 * @param {Boolean} [event.frame] Coalesce emissions of this type until the next animation frame.
+		 * @param {...*} [args] Data params that are passed to the listener function. Validated against the schema of the type
+		 * (see {@link #setSchema}), coalesced emissions are only validated once they run.
+		 * @return {*} Result returned from runner, or a rejected promise if the args do not match the schema of the type.
+		 * If the result rejects the failure is also reported as {@link #errorEvent}.
+		 * @throws {Error} If the args do not match the schema of the type and the runner is {@link core.event.runner.sync synchronous}.
 		 */
 		"emit" : function emit(event, args) {
 			var me = this;
 			var type = event;
 			var handlers;
-			var runner;
+			var buffer;
+			var buffered;
+			var errors;
+			var error;
 
 			// If event is a plain string, convert to object with props
 			if (OBJECT_TOSTRING.call(event) === TOSTRING_STRING) {
 				// Recreate event
 				event = {};
-				event[RUNNER] = runner = sequence;
+				event[RUNNER] = me[RUNNER];
 				event[TYPE] = type;
 			}
-			// If event duck-types an event object we just override or use defaults
+			// If event duck-types an event object copy it, so we can override or use defaults
 			else if (TYPE in event) {
-				event[RUNNER] = runner = event[RUNNER] || sequence;
+				event = copy(event);
+				event[RUNNER] = event[RUNNER] || me[RUNNER];
 				type = event[TYPE];
 			}
 			// Otherwise something is wrong
@@ -215,6 +1127,16 @@ define([
 				throw Error("first argument has to be of type '" + TOSTRING_STRING + "' or have a '" + TYPE + "' property");
 			}
 
+			// Default timeout
+			if (event[TIMEOUT] === UNDEFINED) {
+				event[TIMEOUT] = me[TIMEOUT];
+			}
+
+			// Default tracer
+			if (event[TRACER] === UNDEFINED) {
+				event[TRACER] = me[TRACER];
+			}
+
 			// Get handlers[type] as handlers
 			if ((handlers = me[HANDLERS][type]) === UNDEFINED) {
 				// Get HANDLERS
@@ -227,8 +1149,56 @@ define([
 				handlers[TYPE] = type;
 			}
 
+			// Get args
+			args = ARRAY_SLICE.call(arguments, 1);
+
+			// Coalesce emission if requested, only the emission that runs is validated
+			if (event[THROTTLE] > 0 || event[DEBOUNCE] > 0 || event[FRAME] === TRUE) {
+				return coalesce(me, emit, event, handlers, args);
+			}
+
+			// Validate args if we have a schema
+			if (handlers[SCHEMA] !== UNDEFINED && me[VALIDATION] && (errors = validate(handlers[SCHEMA], args, "args"))[LENGTH] > 0) {
+				error = new Error("invalid arguments emitting '" + type + "' on " + me.toString() + ": " + errors.join(", "));
+				error[ERRORS] = errors;
+
+				// Throw if the runner is synchronous, otherwise reject
+				if (me[VALIDATION] === REJECT) {
+					if (event[RUNNER] === sync) {
+						throw error;
+					}
+
+					return when.reject(error);
+				}
+
+				me.warn(error.message);
+			}
+
+			// Buffer emission if requested, nobody is listening and there is room
+			if (event[BUFFER] > 0
+				&& collect.call(me, event, handlers)[LENGTH] === 0
+				&& ((buffer = handlers[BUFFER]) === UNDEFINED || buffer[LENGTH] < event[BUFFER])) {
+				// Create buffer, and remember this type has one
+				if (buffer === UNDEFINED) {
+					buffer = handlers[BUFFER] = [];
+
+					me[BUFFERED].push(handlers);
+				}
+
+				buffered = {};
+				buffered[EVENT] = event;
+				buffered[ARGS] = args;
+
+				buffer.push(buffered);
+
+				// Return promise of result from runner once flushed
+				return when.promise(function (resolve) {
+					buffered[RESOLVE] = resolve;
+				});
+			}
+
 			// Return result from runner
-			return runner.call(me, event, handlers, ARRAY_SLICE.call(arguments, 1));
+			return execute(me, event, handlers, args);
 		}
 	});
 });
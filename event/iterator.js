@@ -0,0 +1,163 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"when",
+	"poly/array"
+], function IteratorModule(when) {
+	"use strict";
+
+	/**
+	 * Async iterator over emissions, yielding the arguments of each emission, see {@link core.event.emitter#iterate}.
+	 *
+	 * 	for await (const [ value ] of emitter.iterate("change")) {
+	 * 		if (value === "done") {
+	 * 			break; // removes the listener
+	 * 		}
+	 * 	}
+	 *
+	 * Emissions that arrive while nobody awaits {@link #next} are buffered, once the buffer is full the oldest emission is
+	 * dropped.
+	 *
+	 * @class core.event.iterator
+	 */
+
+	var UNDEFINED;
+	var FALSE = false;
+	var TRUE = true;
+	var ARRAY_SLICE = Array.prototype.slice;
+	var VALUE = "value";
+	var DONE = "done";
+	var BOUND = "bound";
+	var BUFFER = "buffer";
+	var WAITING = "waiting";
+	var SUBSCRIPTION = "subscription";
+	var LENGTH = "length";
+
+	/**
+	 * Creates an iterator result
+	 * @ignore
+	 * @param {*} value Value
+	 * @param {Boolean} done Done
+	 * @return {Object} Iterator result
+	 */
+	function result(value, done) {
+		var iteratorResult = {};
+
+		iteratorResult[VALUE] = value;
+		iteratorResult[DONE] = done;
+
+		return iteratorResult;
+	}
+
+	/**
+	 * @method constructor
+	 * @param {Function} subscribe Called with a listener, should add it and return its {@link core.event.subscription subscription}
+	 * @param {Number} [bound=100] Maximum number of emissions to buffer
+	 */
+	function Iterator(subscribe, bound) {
+		var me = this;
+
+		// Construct without new
+		if (!(me instanceof Iterator)) {
+			return new Iterator(subscribe, bound);
+		}
+
+		/**
+		 * Maximum number of emissions to buffer
+		 * @readonly
+		 * @property {Number} bound
+		 */
+		me[BOUND] = bound > 0 ? bound : 100;
+
+		/**
+		 * Whether this iterator is done
+		 * @readonly
+		 * @property {Boolean} done
+		 */
+		me[DONE] = FALSE;
+
+		/**
+		 * Buffered emission arguments
+		 * @private
+		 * @readonly
+		 * @property {Array[]} buffer
+		 */
+		me[BUFFER] = [];
+
+		/**
+		 * Resolvers of pending calls to {@link #next}
+		 * @private
+		 * @readonly
+		 * @property {Function[]} waiting
+		 */
+		me[WAITING] = [];
+
+		/**
+		 * Subscription of the listener feeding this iterator
+		 * @private
+		 * @readonly
+		 * @property {core.event.subscription} subscription
+		 */
+		me[SUBSCRIPTION] = subscribe(function () {
+			var args = ARRAY_SLICE.call(arguments);
+
+			// Hand args to the first waiting call to next
+			if (me[WAITING][LENGTH] > 0) {
+				me[WAITING].shift()(result(args, FALSE));
+			}
+			// Otherwise buffer, dropping the oldest args if the buffer is full
+			else if (me[BUFFER].push(args) > me[BOUND]) {
+				me[BUFFER].shift();
+			}
+		});
+	}
+
+	/**
+	 * Gets the arguments of the next emission.
+	 * @return {Promise} Promise of an iterator result, `{ value: args, done: false }` or `{ value: undefined, done: true }`
+	 * once this iterator is done.
+	 */
+	Iterator.prototype.next = function next() {
+		var me = this;
+
+		return me[BUFFER][LENGTH] > 0
+			? when.resolve(result(me[BUFFER].shift(), FALSE))
+			: me[DONE]
+				? when.resolve(result(UNDEFINED, TRUE))
+				: when.promise(function (resolve) {
+					me[WAITING].push(resolve);
+				});
+	};
+
+	/**
+	 * Ends this iterator, removing its listener and dropping buffered emissions. Called when a `for await` loop exits.
+	 * @param {*} [value] Value to return
+	 * @return {Promise} Promise of the iterator result `{ value: value, done: true }`
+	 */
+	Iterator.prototype["return"] = function _return(value) {
+		var me = this;
+
+		if (!me[DONE]) {
+			me[DONE] = TRUE;
+			me[BUFFER] = [];
+			me[SUBSCRIPTION].remove();
+
+			// End pending calls to next
+			me[WAITING].splice(0).forEach(function (resolve) {
+				resolve(result(UNDEFINED, TRUE));
+			});
+		}
+
+		return when.resolve(result(value, TRUE));
+	};
+
+	// Make iterable with for await (if supported)
+	if (typeof Symbol === "function" && Symbol.asyncIterator !== UNDEFINED) {
+		Iterator.prototype[Symbol.asyncIterator] = function () {
+			return this;
+		};
+	}
+
+	return Iterator;
+});
@@ -0,0 +1,181 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([], function ObservableModule() {
+	"use strict";
+
+	/**
+	 * Minimal [ES Observable](https://github.com/tc39/proposal-observable) that interoperates with RxJS style libraries
+	 * through `Symbol.observable` (or `"@@observable"` where `Symbol.observable` is not available).
+	 *
+	 * 	Rx.Observable.from(emitter.observe("move"))
+	 * 		.throttleTime(100)
+	 * 		.subscribe(function (args) {
+	 * 			// handle move
+	 * 		});
+	 *
+	 * Exceptions thrown by observers are caught and reported (for observables of emitters as
+	 * {@link core.event.emitter#errorEvent error events}, or logged), so they do not break whatever notified the observer,
+	 * e.g. an emission.
+	 *
+	 * @class core.event.observable
+	 */
+
+	var UNDEFINED;
+	var TRUE = true;
+	var FALSE = false;
+	var NEXT = "next";
+	var ERROR = "error";
+	var COMPLETE = "complete";
+	var CLOSED = "closed";
+	var UNSUBSCRIBE = "unsubscribe";
+	var SUBSCRIBER = "subscriber";
+	var REPORT = "report";
+
+	/**
+	 * Key of the method that returns the observable of an object
+	 * @static
+	 * @readonly
+	 * @property {Symbol|String} OBSERVABLE
+	 */
+	var OBSERVABLE = typeof Symbol === "function" && Symbol.observable !== UNDEFINED
+		? Symbol.observable
+		: "@@observable";
+
+	/**
+	 * Notifies an observer, reporting exceptions it throws (and errors it does not observe)
+	 * @ignore
+	 * @param {Function} [report] Function to report exceptions to
+	 * @param {Object} observer Observer
+	 * @param {String} name Name of the method to notify, `next`, `error` or `complete`
+	 * @param {*} [value] Value to notify with
+	 */
+	function notify(report, observer, name, value) {
+		try {
+			if (observer[name]) {
+				observer[name](value);
+			}
+			// Errors nobody observes are reported too
+			else if (name === ERROR) {
+				throw value;
+			}
+		}
+		catch (e) {
+			if (report !== UNDEFINED) {
+				report(e);
+			}
+		}
+	}
+
+	/**
+	 * @method constructor
+	 * @param {Function} subscriber Called with an observer when subscribed to, may return a function that tears down the
+	 * subscription
+	 * @param {Function} [report] Called with exceptions thrown by observers (and errors no observer observes), these are
+	 * ignored if omitted
+	 */
+	function Observable(subscriber, report) {
+		var me = this;
+
+		// Construct without new
+		if (!(me instanceof Observable)) {
+			return new Observable(subscriber, report);
+		}
+
+		/**
+		 * Function called with an observer when subscribed to
+		 * @private
+		 * @readonly
+		 * @property {Function} subscriber
+		 */
+		me[SUBSCRIBER] = subscriber;
+
+		/**
+		 * Function called with exceptions thrown by observers
+		 * @private
+		 * @readonly
+		 * @property {Function} report
+		 */
+		me[REPORT] = report;
+	}
+
+	/**
+	 * Subscribes to this observable.
+	 * @param {Object|Function} [observer] Observer with `next`, `error` and `complete` methods, or the `next` function
+	 * @param {Function} [error] The `error` function, if observer is a function
+	 * @param {Function} [complete] The `complete` function, if observer is a function
+	 * @return {Object} Subscription with an `unsubscribe` method and a `closed` flag
+	 */
+	Observable.prototype.subscribe = function subscribe(observer, error, complete) {
+		var subscription = {};
+		var sink = {};
+		var report = this[REPORT];
+		var teardown;
+
+		// Functions as observer
+		if (typeof observer === "function") {
+			observer = {};
+			observer[NEXT] = arguments[0];
+			observer[ERROR] = error;
+			observer[COMPLETE] = complete;
+		}
+		// No observer
+		else if (observer === UNDEFINED || observer === null) {
+			observer = {};
+		}
+
+		subscription[CLOSED] = FALSE;
+		subscription[UNSUBSCRIBE] = function unsubscribe() {
+			if (!subscription[CLOSED]) {
+				subscription[CLOSED] = TRUE;
+
+				if (typeof teardown === "function") {
+					teardown();
+				}
+			}
+		};
+
+		// Sink ignores notifications once closed
+		sink[NEXT] = function next(value) {
+			if (!subscription[CLOSED]) {
+				notify(report, observer, NEXT, value);
+			}
+		};
+		sink[ERROR] = function error(reason) {
+			if (!subscription[CLOSED]) {
+				subscription[UNSUBSCRIBE]();
+
+				notify(report, observer, ERROR, reason);
+			}
+		};
+		sink[COMPLETE] = function complete() {
+			if (!subscription[CLOSED]) {
+				subscription[UNSUBSCRIBE]();
+
+				notify(report, observer, COMPLETE);
+			}
+		};
+
+		teardown = this[SUBSCRIBER](sink);
+
+		// Tear down right away if we were closed while subscribing
+		if (subscription[CLOSED] && typeof teardown === "function") {
+			teardown();
+		}
+
+		return subscription;
+	};
+
+	/**
+	 * Returns this observable, for interop with other observable libraries.
+	 * @method observable
+	 * @return {core.event.observable} This
+	 */
+	Observable.prototype[OBSERVABLE] = function () {
+		return this;
+	};
+
+	Observable.OBSERVABLE = OBSERVABLE;
+
+	return Observable;
+});
@@ -0,0 +1,87 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "when" ], function ReportModule(when) {
+	"use strict";
+
+	/**
+	 * Reports a failed emission by re-emitting it as the {@link core.event.emitter#errorEvent error event} of the emitter,
+	 * if anybody listens to that. Otherwise the failure is left to the caller of emit, only failures nobody else sees are
+	 * logged, see {@link #forget}.
+	 * @class core.event.report
+	 * @private
+	 * @static
+	 */
+
+	var UNDEFINED;
+	var TRUE = true;
+	var TYPE = "type";
+	var CONTEXT = "context";
+	var ERROR_EVENT = "errorEvent";
+	var FAILURE = "failure";
+	var NAME = "name";
+	var CANCEL_ERROR = "CancelError";
+
+	/**
+	 * Checks if a reason is the cancellation of an emit (see {@link core.event.token}), which is not a failure
+	 * @ignore
+	 * @param {*} reason Reason an emission was rejected with
+	 * @return {Boolean}
+	 */
+	function cancelled(reason) {
+		return !!reason && reason[NAME] === CANCEL_ERROR;
+	}
+
+	/**
+	 * @method constructor
+	 * @param {core.event.emitter} emitter Emitter the emission failed on
+	 * @param {Object} event Event object of the failed emission
+	 * @param {*} reason Reason the emission failed with
+	 * @param {Boolean} [log=false] Log the failure if nobody listens to the error event, for failures nobody else sees
+	 */
+	function report(emitter, event, reason, log) {
+		var type = event[TYPE];
+		var errorEvent = emitter[ERROR_EVENT];
+		var failure = event[FAILURE];
+		var context = failure !== UNDEFINED
+			? failure[CONTEXT]
+			: UNDEFINED;
+
+		// Cancellation is not a failure
+		if (cancelled(reason)) {
+			return;
+		}
+
+		// Re-emit as error event unless this is the error event itself or nobody listens
+		if (type !== errorEvent && emitter.listenerCount(errorEvent) > 0) {
+			emitter.emit(errorEvent, reason, type, context);
+		}
+		// Otherwise log if requested
+		else if (log === true) {
+			emitter.error("unhandled error handling '" + type + "'" + (failure !== UNDEFINED ? " in handler of " + String(context) : "") + " on " + emitter.toString(), reason);
+		}
+	}
+
+	/**
+	 * Logs the failure of an emission nobody awaits, unless it was re-emitted as error event
+	 * @static
+	 * @param {core.event.emitter} emitter Emitter the emission was made on
+	 * @param {String} type Type of the emission
+	 * @param {*} result Result of the emission
+	 */
+	report.forget = function forget(emitter, type, result) {
+		when(result).otherwise(function (reason) {
+			var event;
+
+			// Failures were already re-emitted if anybody listens to the error event
+			if (emitter.listenerCount(emitter[ERROR_EVENT]) === 0) {
+				event = {};
+				event[TYPE] = type;
+
+				report(emitter, event, reason, TRUE);
+			}
+		});
+	};
+
+	return report;
+});
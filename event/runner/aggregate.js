@@ -0,0 +1,43 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "poly/array" ], function AggregateModule() {
+	"use strict";
+
+	/**
+	 * Creates an error describing every handler that failed during a run.
+	 * @class core.event.runner.aggregate
+	 * @private
+	 * @static
+	 */
+
+	var CONTEXT = "context";
+	var REASON = "reason";
+	var ERRORS = "errors";
+	var OUTCOMES = "outcomes";
+
+	/**
+	 * @method constructor
+	 * @param {String} type Event type
+	 * @param {Object[]} failures Failed handlers
+	 * @param {Object} failures.context Context of the failed handler
+	 * @param {Function} failures.callback Callback of the failed handler
+	 * @param {*} failures.reason Reason the handler failed with
+	 * @param {Object[]} outcomes Outcome of each handler
+	 * @return {Error} Error with the failures as `errors` and the outcomes as `outcomes`
+	 */
+	return function aggregate(type, failures, outcomes) {
+		var error = new Error(failures.length + " handler(s) failed handling '" + type + "': " + failures
+			.map(function (failure) {
+				var reason = failure[REASON];
+
+				return String(failure[CONTEXT]) + " (" + (reason instanceof Error ? reason.message : String(reason)) + ")";
+			})
+			.join(", "));
+
+		error[ERRORS] = failures;
+		error[OUTCOMES] = outcomes;
+
+		return error;
+	};
+});
@@ -0,0 +1,134 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "poly/array" ], function CollectModule() {
+	"use strict";
+
+	/**
+	 * Collects the candidates a runner should execute for a list of handlers.
+	 *
+	 * Besides the handlers registered for the emitted type, handlers registered for **wildcard** types that match
+	 * the emitted type are merged in (by priority, then in registration order).
+	 *
+	 * A wildcard type is made up of `/` separated segments where:
+	 *
+	 *  - `*` matches exactly one segment, so `user/*` matches `user/login` but not `user/login/failed`.
+	 *  - `**` matches one or more segments, so `user/**` matches both `user/login` and `user/login/failed`.
+	 *
+	 * Wildcards never match signals (types starting with `sig/`).
+	 *
+	 * The compiled pattern of each type is kept on its list of handlers, and the lists of wildcard types that have handlers
+	 * are cached on the emitter until a handler of a wildcard type (or of a type not collected before) is added or removed.
+	 *
+	 * @class core.event.runner.collect
+	 * @private
+	 * @static
+	 */
+
+	var UNDEFINED;
+	var FALSE = false;
+	var HANDLERS = "handlers";
+	var WILDCARDS = "wildcards";
+	var PATTERN = "pattern";
+	var TYPE = "type";
+	var CONTEXT = "context";
+	var CALLBACK = "callback";
+	var HEAD = "head";
+	var NEXT = "next";
+	var ID = "id";
+	var PRIORITY = "priority";
+	var SIG = "sig/";
+	var RE_WILDCARD = /(?:^|\/)\*\*?(?=\/|$)/;
+	var RE_ESCAPE = /[\\^$.*+?()[\]{}|]/g;
+
+	/**
+	 * Gets the pattern of a list of handlers, compiling it the first time
+	 * @ignore
+	 * @param {Object} list List of handlers
+	 * @return {RegExp|Boolean} Pattern matching types, or false if the type of the list is not a wildcard type
+	 */
+	function pattern(list) {
+		var result = list[PATTERN];
+		var type;
+
+		if (result === UNDEFINED) {
+			type = list[TYPE];
+
+			result = list[PATTERN] = RE_WILDCARD.test(type)
+				? new RegExp("^" + type.split("/").map(function (segment) {
+					return segment === "**"
+						? "[^/]+(?:/[^/]+)*"
+						: segment === "*"
+							? "[^/]+"
+							: segment.replace(RE_ESCAPE, "\\$&");
+				}).join("/") + "$")
+				: FALSE;
+		}
+
+		return result;
+	}
+
+	/**
+	 * Gets the (cached) lists of handlers of wildcard types that have handlers
+	 * @ignore
+	 * @param {core.event.emitter} emitter Emitter
+	 * @return {Object[]} Lists of handlers
+	 */
+	function wildcards(emitter) {
+		return emitter[WILDCARDS] || (emitter[WILDCARDS] = emitter[HANDLERS].filter(function (list) {
+			return pattern(list) !== FALSE && HEAD in list;
+		}));
+	}
+
+	/**
+	 * @method constructor
+	 * @param {Object} event Event object
+	 * @param {Object} [event.context] Only collect handlers with this context
+	 * @param {Function} [event.callback] Only collect handlers with this callback
+	 * @param {Object} handlers List of handlers
+	 * @return {Object[]} Candidates in execution order
+	 */
+	return function collect(event, handlers) {
+		var context = event[CONTEXT];
+		var callback = event[CALLBACK];
+		var type = handlers[TYPE];
+		var lists = [ handlers ];
+		var candidates = [];
+		var candidatesCount = 0;
+		var candidate;
+
+		// Add handlers of wildcard types matching type (unless type is a wildcard or a signal itself)
+		if (this && this[HANDLERS] !== UNDEFINED && pattern(handlers) === FALSE && type.indexOf(SIG) !== 0) {
+			wildcards(this).forEach(function (list) {
+				if (pattern(list).test(type)) {
+					lists.push(list);
+				}
+			});
+		}
+
+		lists.forEach(function (list) {
+			// Iterate handlers
+			for (candidate = list[HEAD]; candidate !== UNDEFINED; candidate = candidate[NEXT]) {
+				// Filter candidate[CONTEXT] if we have context
+				if (context !== UNDEFINED && candidate[CONTEXT] !== context) {
+					continue;
+				}
+
+				// Filter candidate[CALLBACK] if we have callback
+				if (callback !== UNDEFINED && candidate[CALLBACK] !== callback) {
+					continue;
+				}
+
+				// Add to candidates
+				candidates[candidatesCount++] = candidate;
+			}
+		});
+
+		// Restore priority and registration order if we merged lists
+		return lists.length > 1
+			? candidates.sort(function (a, b) {
+				return (b[PRIORITY] - a[PRIORITY]) || (a[ID] - b[ID]);
+			})
+			: candidates;
+	};
+});
@@ -0,0 +1,59 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"./collect",
+	"./invoke",
+	"when"
+], function FirstModule(collect, invoke, when) {
+	"use strict";
+
+	/**
+	 * @class core.event.runner.first
+	 * @implement core.event.emitter.runner
+	 * @private
+	 * @static
+	 * @alias feature.runner
+	 */
+
+	var UNDEFINED;
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
+
+	/**
+	 * @method constructor
+	 * @inheritdoc
+	 * @localdoc Run event handlers **asynchronously** in "sequence", passing to each handler the same arguments from emitting,
+	 * until a handler resolves with a value that is not undefined.
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle before rejecting with a `TimeoutError`
+	 * @return {Promise} Promise of the first value that is not undefined, or undefined if no handler resolved with a value
+	 */
+	return function first(event, handlers, args) {
+		var candidates = collect.call(this, event, handlers);
+		var candidatesCount = 0;
+		var token = event[TOKEN];
+
+		/**
+		 * Internal function for sequential execution of candidates
+		 * @ignore
+		 * @param {*} [result] result from previous candidate callback
+		 * @return {Promise} promise of next candidate callback execution
+		 */
+		var next = function (result) {
+			var candidate;
+
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
+			// Return promise of next callback if we have no result, or a promise resolved with result
+			return result === UNDEFINED && (candidate = candidates[candidatesCount++]) !== UNDEFINED
+				? when(invoke(event, candidate, args), next)
+				: when.resolve(result);
+		};
+
+		return next(UNDEFINED);
+	}
+});
@@ -0,0 +1,77 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"./trace",
+	"when",
+	"when/lib/TimeoutError"
+], function InvokeModule(trace, when, TimeoutError) {
+	"use strict";
+
+	/**
+	 * Invokes a candidate callback inside of a promise, optionally rejecting if it does not settle in time.
+	 * @class core.event.runner.invoke
+	 * @private
+	 * @static
+	 */
+
+	var UNDEFINED;
+	var CONTEXT = "context";
+	var CALLBACK = "callback";
+	var TYPE = "type";
+	var TIMEOUT = "timeout";
+	var FAILURE = "failure";
+	var REASON = "reason";
+	var TRACER = "tracer";
+	var FULFILLED = "fulfilled";
+	var REJECTED = "rejected";
+
+	/**
+	 * @method constructor
+	 * @param {Object} event Event object
+	 * @param {Number} [event.timeout] Milliseconds to wait for the callback to settle before rejecting with a `TimeoutError`
+	 * @param {Function} [event.tracer] Function to report how the callback ran to, see {@link core.event.emitter#tracer}
+	 * @param {Object} candidate Candidate to invoke
+	 * @param {Array} args Arguments to invoke the callback with
+	 * @return {Promise} Promise of the result of the callback, if it rejects the first failure of the event is recorded as
+	 * `event.failure` in the form of `{ context: context, callback: callback, reason: reason }`
+	 */
+	return function invoke(event, candidate, args) {
+		var context = candidate[CONTEXT];
+		var timeout = event[TIMEOUT];
+		var started = +new Date();
+		// make sure the handler is always called inside of a promise
+		var result = when.lift(candidate[CALLBACK]).apply(context, args);
+
+		if (timeout > 0) {
+			result = result.timeout(timeout, new TimeoutError("handler of " + String(context) + " timed out after " + timeout + "ms handling '" + event[TYPE] + "'"));
+		}
+
+		// Trace if we have a tracer
+		if (event[TRACER] !== UNDEFINED) {
+			result = result.then(function (value) {
+				trace(event, candidate, started, FULFILLED, value);
+
+				return value;
+			}, function (reason) {
+				trace(event, candidate, started, REJECTED, reason);
+
+				throw reason;
+			});
+		}
+
+		return result.otherwise(function (reason) {
+			var failure;
+
+			// Record the first failure
+			if (event[FAILURE] === UNDEFINED) {
+				failure = event[FAILURE] = {};
+				failure[CONTEXT] = context;
+				failure[CALLBACK] = candidate[CALLBACK];
+				failure[REASON] = reason;
+			}
+
+			throw reason;
+		});
+	};
+});
@@ -0,0 +1,84 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"./collect",
+	"./invoke",
+	"when"
+], function ReduceModule(collect, invoke, when) {
+	"use strict";
+
+	/**
+	 * @class core.event.runner.reduce
+	 * @implement core.event.emitter.runner
+	 * @private
+	 * @static
+	 * @alias feature.runner
+	 */
+
+	var UNDEFINED;
+	var REDUCER = "reducer";
+	var ACCUMULATOR = "accumulator";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
+
+	/**
+	 * @method constructor
+	 * @inheritdoc
+	 * @localdoc Run event handlers **asynchronously** in "sequence", passing to each handler the same arguments from emitting,
+	 * and fold the resolved value of each handler into an accumulator using `event.reducer`.
+	 *
+	 * 	emitter.emit({
+	 * 		"type": "price",
+	 * 		"runner": reduce,
+	 * 		"accumulator": 0,
+	 * 		"reducer": function (total, price) {
+	 * 			return total + price;
+	 * 		}
+	 * 	}, item);
+	 *
+	 * @param {Function} event.reducer Reducer called with the accumulator and the resolved value of a handler,
+	 * returning (a promise of) the next accumulator
+	 * @param {*} [event.accumulator] Initial accumulator
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle before rejecting with a `TimeoutError`
+	 * @return {Promise} Promise of the final accumulator
+	 */
+	return function reduce(event, handlers, args) {
+		var reducer = event[REDUCER];
+		var candidates;
+		var candidatesCount = 0;
+		var token = event[TOKEN];
+
+		// Reject if we don't have a reducer
+		if (typeof reducer !== "function") {
+			return when.reject(new Error("event has to have a '" + REDUCER + "' function"));
+		}
+
+		candidates = collect.call(this, event, handlers);
+
+		/**
+		 * Internal function for sequential execution of candidates
+		 * @ignore
+		 * @param {*} accumulator current accumulator
+		 * @return {Promise} promise of next candidate callback execution
+		 */
+		var next = function (accumulator) {
+			var candidate;
+
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
+			// Return promise of next callback folded into accumulator, or a promise resolved with accumulator
+			return (candidate = candidates[candidatesCount++]) !== UNDEFINED
+				? when(invoke(event, candidate, args), function (result) {
+					return when(reducer(accumulator, result), next);
+				})
+				: when.resolve(accumulator);
+		};
+
+		return next(event[ACCUMULATOR]);
+	}
+});
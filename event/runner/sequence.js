@@ -1,7 +1,13 @@
 /**
  * @license MIT http://troopjs.mit-license.org/
  */
-define([ "when" ], function SequenceModule(when) {
+define([
+	"./collect",
+	"./invoke",
+	"./settle",
+	"./aggregate",
+	"when"
+], function SequenceModule(collect, invoke, settle, aggregate, when) {
 	"use strict";
 
 	/**
@@ -13,31 +19,42 @@ define([ "when" ], function SequenceModule(when) {
 	 */
 
 	var UNDEFINED;
-	var HEAD = "head";
-	var NEXT = "next";
-	var CALLBACK = "callback";
-	var CONTEXT = "context";
+	var TYPE = "type";
+	var POLICY = "policy";
+	var ERROR = "error";
+	var FAIL = "fail";
+	var REPORT = "report";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
 
 	/**
 	 * @method constructor
 	 * @inheritdoc
 	 * @localdoc Run event handlers **asynchronously** in "sequence", passing to each handler the same arguments from emitting.
+	 *
+	 * How a failing handler is handled depends on `event.policy`:
+	 *
+	 *  - `"fail"` (default): stop at the first failing handler and reject with its reason.
+	 *  - `"collect"`: run all handlers and resolve with the outcome of each handler (`{ state, value }` or `{ state, reason }`),
+	 *  if any handler failed the outcomes have an `error` property describing the failures.
+	 *  - `"report"`: run all handlers, resolve with the outcome of each handler if all succeeded, otherwise reject with
+	 *  an error describing the failures.
+	 *
+	 * A handler that does not settle within `event.timeout` milliseconds fails with a `TimeoutError`.
+	 *
+	 * @param {String} [event.policy="fail"] Error policy, one of `"fail"`, `"collect"` or `"report"`
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle
 	 * @return {Promise}
 	 */
 	return function sequence(event, handlers, args) {
 		var results = [];
 		var resultsCount = 0;
-		var candidates = [];
+		var candidates = collect.call(this, event, handlers);
 		var candidatesCount = 0;
-		var handler;
-
-		// Copy from handlers list to candidates array
-		for (handler = handlers[HEAD]; handler !== UNDEFINED; handler = handler[NEXT]) {
-			candidates[candidatesCount++] = handler;
-		}
-
-		// Reset candidate count
-		candidatesCount = 0;
+		var policy = event[POLICY] || FAIL;
+		var failures = [];
+		var token = event[TOKEN];
 
 		/**
 		 * Internal function for sequential execution of candidates
@@ -49,21 +66,38 @@ define([ "when" ], function SequenceModule(when) {
 		var next = function (result, skip) {
 			/*jshint curly:false*/
 			var candidate;
-			var callback;
+			var error;
 
 			// Store result if no skip
 			if (skip !== true) {
 				results[resultsCount++] = result;
 			}
 
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
 			if((candidate = candidates[candidatesCount++]) !== UNDEFINED){
-				// make sure the first handler is always called inside of a promise
-				callback = when.lift(candidate[CALLBACK]);
+				result = invoke(event, candidate, args);
 
-				// Return promise of next callback, or a promise resolved with result
-				return when(callback.apply(candidate[CONTEXT], args), next)
+				// Return promise of next callback, either failing fast or continuing with the outcome of this callback
+				return policy === FAIL
+					? when(result, next)
+					: settle(result, candidate, failures).then(next);
 			}
 			else {
+				// If we have failures either report them or attach them to results
+				if (failures.length > 0) {
+					error = aggregate(event[TYPE], failures, results);
+
+					if (policy === REPORT) {
+						return when.reject(error);
+					}
+
+					results[ERROR] = error;
+				}
+
 				return when.resolve(results);
 			}
 		};
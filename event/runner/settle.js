@@ -0,0 +1,54 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "when" ], function SettleModule(when) {
+	"use strict";
+
+	/**
+	 * Settles the result of a candidate callback into an outcome, recording the candidate if it failed.
+	 * @class core.event.runner.settle
+	 * @private
+	 * @static
+	 */
+
+	var CONTEXT = "context";
+	var CALLBACK = "callback";
+	var STATE = "state";
+	var VALUE = "value";
+	var REASON = "reason";
+	var FULFILLED = "fulfilled";
+	var REJECTED = "rejected";
+
+	/**
+	 * @method constructor
+	 * @param {*} result Result (or promise of result) from the candidate callback
+	 * @param {Object} candidate Candidate that produced the result
+	 * @param {Object[]} failures Array to push the failure of candidate to
+	 * @return {Promise} Promise of an outcome in the form of `{ state: "fulfilled", value: value }`
+	 * or `{ state: "rejected", reason: reason }`
+	 */
+	return function settle(result, candidate, failures) {
+		return when(result).then(function (value) {
+			var outcome = {};
+
+			outcome[STATE] = FULFILLED;
+			outcome[VALUE] = value;
+
+			return outcome;
+		}, function (reason) {
+			var outcome = {};
+			var failure = {};
+
+			outcome[STATE] = REJECTED;
+			outcome[REASON] = reason;
+
+			failure[CONTEXT] = candidate[CONTEXT];
+			failure[CALLBACK] = candidate[CALLBACK];
+			failure[REASON] = reason;
+
+			failures.push(failure);
+
+			return outcome;
+		});
+	};
+});
@@ -0,0 +1,109 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"./collect",
+	"./trace",
+	"poly/array"
+], function SyncModule(collect, trace) {
+	"use strict";
+
+	/**
+	 * @class core.event.runner.sync
+	 * @implement core.event.emitter.runner
+	 * @private
+	 * @static
+	 * @alias feature.runner
+	 */
+
+	var UNDEFINED;
+	var FALSE = false;
+	var CALLBACK = "callback";
+	var CONTEXT = "context";
+	var TRACER = "tracer";
+	var FAILURE = "failure";
+	var REASON = "reason";
+	var FULFILLED = "fulfilled";
+	var REJECTED = "rejected";
+
+	/**
+	 * Calls the callback of a candidate, tracing it if the event has a tracer
+	 * @ignore
+	 * @param {Object} event Event object
+	 * @param {Object} candidate Candidate to call
+	 * @param {Array} args Arguments to call the callback with
+	 * @return {*} Result of the callback
+	 * @throws {*} What the callback throws, the first failure of the event is recorded as `event.failure` in the form of
+	 * `{ context: context, callback: callback, reason: reason }`
+	 */
+	function call(event, candidate, args) {
+		var tracer = event[TRACER];
+		var started = tracer !== UNDEFINED
+			? +new Date()
+			: UNDEFINED;
+		var failure;
+		var result;
+
+		try {
+			result = candidate[CALLBACK].apply(candidate[CONTEXT], args);
+		}
+		catch (e) {
+			// Record the first failure
+			if (event[FAILURE] === UNDEFINED) {
+				failure = event[FAILURE] = {};
+				failure[CONTEXT] = candidate[CONTEXT];
+				failure[CALLBACK] = candidate[CALLBACK];
+				failure[REASON] = e;
+			}
+
+			if (tracer !== UNDEFINED) {
+				trace(event, candidate, started, REJECTED, e);
+			}
+
+			throw e;
+		}
+
+		if (tracer !== UNDEFINED) {
+			trace(event, candidate, started, FULFILLED, result);
+		}
+
+		return result;
+	}
+
+	/**
+	 * @method constructor
+	 * @inheritdoc
+	 * @localdoc Run event handlers **synchronously** in "sequence", passing to each handler the same arguments from emitting.
+	 *
+	 * No promises are involved, so the result is available as soon as {@link core.event.emitter#emit emit} returns, and a
+	 * handler that throws makes `emit` throw. A handler returning `false` interrupts the run, skipping remaining handlers.
+	 *
+	 * 	// Per emit
+	 * 	var result = emitter.emit({
+	 * 		"type": "foo",
+	 * 		"runner": sync
+	 * 	});
+	 *
+	 * 	// Per instance
+	 * 	emitter.runner = sync;
+	 *
+	 * @return {*} Result of the last executed handler, or `false` if interrupted
+	 */
+	return function sync(event, handlers, args) {
+		var candidates = collect.call(this, event, handlers);
+		var result;
+
+		// Reduce and return
+		return candidates.reduce(function (current, candidate) {
+			// Store result if not UNDEFINED
+			if (current !== UNDEFINED) {
+				result = current;
+			}
+
+			// If result is _not_ false, return result of candidate[CALLBACK], otherwise just false
+			return result !== FALSE
+				? call(event, candidate, args)
+				: result;
+		}, UNDEFINED);
+	};
+});
@@ -0,0 +1,54 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([], function TraceModule() {
+	"use strict";
+
+	/**
+	 * Reports how a candidate callback ran to the tracer of the event.
+	 * @class core.event.runner.trace
+	 * @private
+	 * @static
+	 */
+
+	var TYPE = "type";
+	var CONTEXT = "context";
+	var CALLBACK = "callback";
+	var TRACER = "tracer";
+	var STARTED = "started";
+	var FINISHED = "finished";
+	var DURATION = "duration";
+	var STATE = "state";
+	var VALUE = "value";
+	var REASON = "reason";
+	var FULFILLED = "fulfilled";
+	var NAME = "name";
+
+	/**
+	 * @method constructor
+	 * @param {Object} event Event object
+	 * @param {Function} event.tracer Function to report to
+	 * @param {Object} candidate Candidate that ran
+	 * @param {Number} started Timestamp the candidate started running at
+	 * @param {"fulfilled"|"rejected"} state How the candidate settled
+	 * @param {*} value Value (or reason) the candidate settled with
+	 */
+	return function trace(event, candidate, started, state, value) {
+		var callback = candidate[CALLBACK];
+		var record = {};
+
+		// Unwrap callbacks of once listeners
+		callback = callback[CALLBACK] || callback;
+
+		record[TYPE] = event[TYPE];
+		record[CONTEXT] = String(candidate[CONTEXT]);
+		record[CALLBACK] = callback[NAME] || "anonymous";
+		record[STARTED] = started;
+		record[FINISHED] = +new Date();
+		record[DURATION] = record[FINISHED] - started;
+		record[STATE] = state;
+		record[state === FULFILLED ? VALUE : REASON] = value;
+
+		event[TRACER](record);
+	};
+});
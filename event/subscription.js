@@ -0,0 +1,140 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([], function SubscriptionModule() {
+	"use strict";
+
+	/**
+	 * Handle of a listener added with {@link core.event.emitter#listen listen}, that removes, pauses or resumes exactly that
+	 * listener without having to keep a reference to its callback and context.
+	 *
+	 * 	var subscription = emitter.listen("foo", this, function () {
+	 * 		// handle foo
+	 * 	});
+	 *
+	 * 	subscription.pause();
+	 * 	subscription.resume();
+	 * 	subscription.remove();
+	 *
+	 * @class core.event.subscription
+	 */
+
+	var FALSE = false;
+	var TRUE = true;
+	var TYPE = "type";
+	var CONTEXT = "context";
+	var CALLBACK = "callback";
+	var DATA = "data";
+	var PRIORITY = "priority";
+	var PAUSED = "paused";
+	var REMOVED = "removed";
+	var REMOVER = "remover";
+
+	/**
+	 * @method constructor
+	 * @param {Object} listener Listener this is a handle of, as described by {@link core.event.emitter#listeners listeners}
+	 * @param {Function} remover Function that removes the listener
+	 */
+	function Subscription(listener, remover) {
+		var me = this;
+
+		// Construct without new
+		if (!(me instanceof Subscription)) {
+			return new Subscription(listener, remover);
+		}
+
+		/**
+		 * Event type listened to
+		 * @readonly
+		 * @property {String} type
+		 */
+		me[TYPE] = listener[TYPE];
+
+		/**
+		 * Context of the listener
+		 * @readonly
+		 * @property {Object} context
+		 */
+		me[CONTEXT] = listener[CONTEXT];
+
+		/**
+		 * Callback of the listener
+		 * @readonly
+		 * @property {Function} callback
+		 */
+		me[CALLBACK] = listener[CALLBACK];
+
+		/**
+		 * Data of the listener
+		 * @readonly
+		 * @property {*} data
+		 */
+		me[DATA] = listener[DATA];
+
+		/**
+		 * Priority of the listener
+		 * @readonly
+		 * @property {Number} priority
+		 */
+		me[PRIORITY] = listener[PRIORITY];
+
+		/**
+		 * Whether the listener is paused, paused listeners are skipped when events are emitted
+		 * @readonly
+		 * @property {Boolean} paused
+		 */
+		me[PAUSED] = FALSE;
+
+		/**
+		 * Whether the listener was removed
+		 * @readonly
+		 * @property {Boolean} removed
+		 */
+		me[REMOVED] = FALSE;
+
+		/**
+		 * Function that removes the listener
+		 * @private
+		 * @readonly
+		 * @property {Function} remover
+		 */
+		me[REMOVER] = remover;
+	}
+
+	/**
+	 * Pauses the listener, skipping it until {@link #resume resumed}.
+	 * @chainable
+	 */
+	Subscription.prototype.pause = function pause() {
+		this[PAUSED] = TRUE;
+
+		return this;
+	};
+
+	/**
+	 * Resumes a {@link #pause paused} listener.
+	 * @chainable
+	 */
+	Subscription.prototype.resume = function resume() {
+		this[PAUSED] = FALSE;
+
+		return this;
+	};
+
+	/**
+	 * Removes the listener, only the first call has any effect.
+	 * @chainable
+	 */
+	Subscription.prototype.remove = function remove() {
+		var me = this;
+
+		if (!me[REMOVED]) {
+			me[REMOVED] = TRUE;
+			me[REMOVER]();
+		}
+
+		return me;
+	};
+
+	return Subscription;
+});
@@ -0,0 +1,82 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([], function TokenModule() {
+	"use strict";
+
+	/**
+	 * Cancellation token for emits. Pass a token as `token` on the event object and runners check it between handlers,
+	 * rejecting with the {@link #reason} once the token is {@link #cancel cancelled}.
+	 *
+	 * 	var token = Token();
+	 *
+	 * 	emitter.emit({
+	 * 		"type": "foo",
+	 * 		"token": token
+	 * 	}).otherwise(function (reason) {
+	 * 		if (reason.name === "CancelError") {
+	 * 			// cancelled
+	 * 		}
+	 * 	});
+	 *
+	 * 	token.cancel();
+	 *
+	 * @class core.event.token
+	 */
+
+	var FALSE = false;
+	var TRUE = true;
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
+	var TOKEN = "token";
+
+	/**
+	 * @method constructor
+	 */
+	function Token() {
+		var me = this;
+
+		// Construct without new
+		if (!(me instanceof Token)) {
+			return new Token();
+		}
+
+		/**
+		 * Whether this token was cancelled
+		 * @readonly
+		 * @property {Boolean} cancelled
+		 */
+		me[CANCELLED] = FALSE;
+	}
+
+	/**
+	 * Reason emits using this token are rejected with once cancelled, an `Error` named `CancelError`
+	 * with this token as `token`.
+	 * @readonly
+	 * @property {Error} reason
+	 */
+
+	/**
+	 * Cancels emits using this token.
+	 * @chainable
+	 * @param {String} [message] Cancellation message
+	 */
+	Token.prototype.cancel = function cancel(message) {
+		var me = this;
+		var reason;
+
+		// Only cancel once
+		if (!me[CANCELLED]) {
+			reason = new Error(message || "cancelled");
+			reason.name = "CancelError";
+			reason[TOKEN] = me;
+
+			me[REASON] = reason;
+			me[CANCELLED] = TRUE;
+		}
+
+		return me;
+	};
+
+	return Token;
+});
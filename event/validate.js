@@ -0,0 +1,191 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([ "poly/array" ], function ValidateModule() {
+	"use strict";
+
+	/**
+	 * Validates a value against a schema, supporting the following subset of [JSON Schema](http://json-schema.org/):
+	 *
+	 *  - `type`: one of (or an array of) `"string"`, `"number"`, `"integer"`, `"boolean"`, `"object"`, `"array"`, `"null"`
+	 *  - `enum`: array of allowed values
+	 *  - `properties`, `required` and `additionalProperties` (`false` or a schema) for objects
+	 *  - `items` (a schema for every item, or an array of schemas for a tuple), `minItems` and `maxItems` for arrays
+	 *  - `minimum` and `maximum` for numbers
+	 *  - `minLength`, `maxLength` and `pattern` for strings
+	 *
+	 * @class core.event.validate
+	 * @private
+	 * @static
+	 */
+
+	var UNDEFINED;
+	var OBJECT_TOSTRING = Object.prototype.toString;
+	var OBJECT_HASOWNPROPERTY = Object.prototype.hasOwnProperty;
+	var TYPE = "type";
+	var ENUM = "enum";
+	var PROPERTIES = "properties";
+	var REQUIRED = "required";
+	var ADDITIONAL_PROPERTIES = "additionalProperties";
+	var ITEMS = "items";
+	var MIN_ITEMS = "minItems";
+	var MAX_ITEMS = "maxItems";
+	var MINIMUM = "minimum";
+	var MAXIMUM = "maximum";
+	var MIN_LENGTH = "minLength";
+	var MAX_LENGTH = "maxLength";
+	var PATTERN = "pattern";
+	var LENGTH = "length";
+
+	/**
+	 * Gets the schema type of a value
+	 * @ignore
+	 * @param {*} value Value
+	 * @return {String} Schema type
+	 */
+	function typeOf(value) {
+		return value === null
+			? "null"
+			: OBJECT_TOSTRING.call(value).slice(8, -1).toLowerCase();
+	}
+
+	/**
+	 * Checks if value is of a schema type
+	 * @ignore
+	 * @param {*} value Value
+	 * @param {String} type Schema type
+	 * @return {Boolean}
+	 */
+	function isType(value, type) {
+		var actual = typeOf(value);
+
+		return type === "integer"
+			? actual === "number" && value % 1 === 0
+			: actual === type;
+	}
+
+	/**
+	 * @ignore
+	 * @param {Object} schema Schema
+	 * @param {*} value Value
+	 * @param {String} path Path to value
+	 * @param {String[]} errors Errors to push to
+	 */
+	function check(schema, value, path, errors) {
+		var types = schema[TYPE];
+		var type = typeOf(value);
+		var properties;
+		var additional;
+		var items;
+		var key;
+
+		// Check type, if value is of the wrong type there is no point in checking further
+		if (types !== UNDEFINED) {
+			types = typeOf(types) === "array" ? types : [ types ];
+
+			if (!types.some(function (type) {
+				return isType(value, type);
+			})) {
+				errors.push(path + " should be " + types.join(" or ") + " but is " + type);
+				return;
+			}
+		}
+
+		if (schema[ENUM] !== UNDEFINED && schema[ENUM].indexOf(value) === -1) {
+			errors.push(path + " should be one of " + JSON.stringify(schema[ENUM]));
+		}
+
+		switch (type) {
+			case "object":
+				properties = schema[PROPERTIES] || {};
+				additional = schema[ADDITIONAL_PROPERTIES];
+
+				(schema[REQUIRED] || []).forEach(function (name) {
+					if (!OBJECT_HASOWNPROPERTY.call(value, name)) {
+						errors.push(path + "." + name + " is required");
+					}
+				});
+
+				for (key in value) {
+					if (!OBJECT_HASOWNPROPERTY.call(value, key)) {
+						continue;
+					}
+
+					if (OBJECT_HASOWNPROPERTY.call(properties, key)) {
+						check(properties[key], value[key], path + "." + key, errors);
+					}
+					else if (additional === false) {
+						errors.push(path + "." + key + " is not allowed");
+					}
+					else if (typeOf(additional) === "object") {
+						check(additional, value[key], path + "." + key, errors);
+					}
+				}
+				break;
+
+			case "array":
+				items = schema[ITEMS];
+
+				if (schema[MIN_ITEMS] !== UNDEFINED && value[LENGTH] < schema[MIN_ITEMS]) {
+					errors.push(path + " should have at least " + schema[MIN_ITEMS] + " items");
+				}
+
+				if (schema[MAX_ITEMS] !== UNDEFINED && value[LENGTH] > schema[MAX_ITEMS]) {
+					errors.push(path + " should have at most " + schema[MAX_ITEMS] + " items");
+				}
+
+				// Tuple, check each item against the schema at the same index
+				if (typeOf(items) === "array") {
+					items.forEach(function (item, index) {
+						check(item, value[index], path + "[" + index + "]", errors);
+					});
+				}
+				// Check every item against the same schema
+				else if (items !== UNDEFINED) {
+					value.forEach(function (item, index) {
+						check(items, item, path + "[" + index + "]", errors);
+					});
+				}
+				break;
+
+			case "number":
+				if (schema[MINIMUM] !== UNDEFINED && value < schema[MINIMUM]) {
+					errors.push(path + " should be at least " + schema[MINIMUM]);
+				}
+
+				if (schema[MAXIMUM] !== UNDEFINED && value > schema[MAXIMUM]) {
+					errors.push(path + " should be at most " + schema[MAXIMUM]);
+				}
+				break;
+
+			case "string":
+				if (schema[MIN_LENGTH] !== UNDEFINED && value[LENGTH] < schema[MIN_LENGTH]) {
+					errors.push(path + " should have at least " + schema[MIN_LENGTH] + " characters");
+				}
+
+				if (schema[MAX_LENGTH] !== UNDEFINED && value[LENGTH] > schema[MAX_LENGTH]) {
+					errors.push(path + " should have at most " + schema[MAX_LENGTH] + " characters");
+				}
+
+				if (schema[PATTERN] !== UNDEFINED && !new RegExp(schema[PATTERN]).test(value)) {
+					errors.push(path + " should match " + schema[PATTERN]);
+				}
+				break;
+		}
+	}
+
+	/**
+	 * @method constructor
+	 * @param {Object} schema Schema to validate against
+	 * @param {*} value Value to validate
+	 * @param {String} [path="value"] Name of the value used in errors
+	 * @return {String[]} Errors describing why the value is invalid, empty if it is valid
+	 */
+	return function validate(schema, value, path) {
+		var errors = [];
+
+		check(schema, value, path || "value", errors);
+
+		return errors;
+	};
+});
@@ -0,0 +1,55 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"when",
+	"when/lib/TimeoutError"
+], function WaitModule(when, TimeoutError) {
+	"use strict";
+
+	/**
+	 * Waits for the next emission matching a predicate, see {@link core.event.emitter#waitFor}.
+	 * @class core.event.wait
+	 * @private
+	 * @static
+	 */
+
+	var UNDEFINED;
+	var ARRAY_SLICE = Array.prototype.slice;
+
+	/**
+	 * @method constructor
+	 * @param {Function} listen Called with a listener and a function that rejects the promise with a reason, should add the
+	 * listener and return its {@link core.event.subscription subscription}
+	 * @param {String} type Event type waited for, used in the timeout error
+	 * @param {Function} [predicate] Called with the args of each emission, only emissions it returns truthy for match
+	 * @param {Number} [timeout] Milliseconds to wait before rejecting with a `TimeoutError`
+	 * @return {Promise} Promise of the args of the next matching emission
+	 */
+	return function wait(listen, type, predicate, timeout) {
+		var subscription;
+		var promise = when.promise(function (resolve, reject) {
+			subscription = listen(function () {
+				var args = ARRAY_SLICE.call(arguments);
+
+				try {
+					if (predicate === UNDEFINED || predicate.apply(this, args)) {
+						resolve(args);
+					}
+				}
+				catch (e) {
+					reject(e);
+				}
+			}, reject);
+		});
+
+		if (timeout > 0) {
+			promise = promise.timeout(timeout, new TimeoutError("timed out after " + timeout + "ms waiting for '" + type + "'"));
+		}
+
+		// Remove listener once settled
+		return promise.ensure(function () {
+			subscription.remove();
+		});
+	};
+});
@@ -3,9 +3,13 @@
  */
 define([
 	"../event/emitter",
+	"../event/observable",
+	"../event/copy",
+	"../event/report",
 	"./runner/pipeline",
-	"troopjs-compose/decorator/from"
-], function HubModule(Emitter, pipeline, from) {
+	"troopjs-compose/decorator/from",
+	"poly/array"
+], function HubModule(Emitter, Observable, copy, report, pipeline, from) {
 	"use strict";
 
 	/**
@@ -25,10 +29,15 @@ define([
 	 */
 
 	var UNDEFINED;
+	var TRUE = true;
 	var MEMORY = "memory";
 	var HANDLERS = "handlers";
 	var RUNNER = "runner";
 	var TYPE = "type";
+	var CONTEXT = "context";
+	var TOPICS = "topics";
+	var OBJECT_TOSTRING = Object.prototype.toString;
+	var TOSTRING_STRING = "[object String]";
 
 	/**
 	 * @method create
@@ -53,6 +62,12 @@ define([
 	 * @private
 	 */
 
+	/**
+	 * @method once
+	 * @inheritdoc
+	 * @private
+	 */
+
 	/**
 	 * @method off
 	 * @inheritdoc
@@ -68,6 +83,14 @@ define([
 	return Emitter.create({
 		"displayName": "core/pubsub/hub",
 
+		/**
+		 * Topics are typically subscribed to by many components, so the hub does not warn about possible listener leaks
+		 * unless a maximum is set with {@link #setMaxListeners}.
+		 * @inheritdoc
+		 * @property {Number} maxListeners
+		 */
+		"maxListeners": 0,
+
 		/**
 		 * Listen to an event that are emitted publicly.
 		 * @chainable
@@ -76,6 +99,14 @@ define([
 		 */
 		"subscribe" : from("on"),
 
+		/**
+		 * Listen to the next event that is emitted publicly.
+		 * @chainable
+		 * @inheritdoc #once
+		 * @method
+		 */
+		"subscribeOnce" : from("once"),
+
 		/**
 		 * Remove a public event listener.
 		 * @chainable
@@ -94,17 +125,42 @@ define([
 		 *   - One value as the single argument if the previous handler return a non-array.
 		 *   - Each argument value deconstructed from the returning array of the previous handler.
 		 *
-		 * @param {String} type The topic to publish.
-		 * @param {...*} [args] Additional params that are passed to the handler function.
+		 * To run handlers differently publish an event object with another runner, e.g. to run all handlers at once:
+		 *
+		 * 	hub.publish({
+		 * 		"type": "foo/bar",
+		 * 		"runner": parallel // core/pubsub/runner/parallel
+		 * 	}, "foo");
+		 *
+		 * @param {String|Object} event The topic to publish, or an event object
+		 * @param {String} [event.type] The topic to publish.
+		 * @param {Function} [event.runner] The runner that executes the handlers, defaults to {@link core.pubsub.runner.pipeline}.
+		 * @param {Number} [event.buffer] Maximum number of publications of this topic to buffer until the first subscriber arrives,
+		 * see {@link core.event.emitter#emit}.
+		 * @param {Number} [event.throttle] Coalesce publications of this topic for this many milliseconds after the first one.
+		 * @param {Number} [event.debounce] Coalesce publications of this topic until none were made for this many milliseconds.
+		 * @param {Boolean} [event.frame] Coalesce publications of this topic until the next animation frame.
+		 * Only the last coalesced publication is delivered (and remembered), see {@link core.event.emitter#emit}.
+		 * @param {...*} [args] Additional params that are passed to the handler function, validated against the schema of
+		 * the topic if it has one (see {@link core.event.emitter#setSchema}).
 		 * @return {Promise}
 		 */
-		"publish" : function publish(type, args) {
+		"publish" : function publish(event, args) {
 			var me = this;
+			var type = event;
 
-			// Prepare event object
-			var event = {};
-			event[TYPE] = type;
-			event[RUNNER] = pipeline;
+			// If event is a plain string, prepare event object
+			if (OBJECT_TOSTRING.call(event) === TOSTRING_STRING) {
+				event = {};
+				event[TYPE] = type;
+			}
+			// Otherwise copy event, so we don't modify the event object of the caller
+			else {
+				event = copy(event);
+			}
+
+			// Default to pipeline runner
+			event[RUNNER] = event[RUNNER] || pipeline;
 
 			// Modify first argument
 			arguments[0] = event;
@@ -113,6 +169,88 @@ define([
 			return me.emit.apply(me, arguments);
 		},
 
+		/**
+		 * Reports which contexts (typically components) subscribe to which topics.
+		 * @return {Object[]} Subscriptions, one per context in the order of their first subscription
+		 * @return {Object} return.context The context of the subscriptions
+		 * @return {String[]} return.topics The topics the context subscribes to
+		 */
+		"subscriptions" : function subscriptions() {
+			var me = this;
+			var contexts = [];
+			var result = [];
+
+			me.eventNames().forEach(function (topic) {
+				me.listeners(topic).forEach(function (listener) {
+					var context = listener[CONTEXT];
+					var index = contexts.indexOf(context);
+					var subscription;
+
+					// Create subscription for context if we don't have one
+					if (index === -1) {
+						contexts.push(context);
+
+						subscription = {};
+						subscription[CONTEXT] = context;
+						subscription[TOPICS] = [];
+
+						result.push(subscription);
+					}
+					else {
+						subscription = result[index];
+					}
+
+					// Add topic once
+					if (subscription[TOPICS].indexOf(topic) === -1) {
+						subscription[TOPICS].push(topic);
+					}
+				});
+			});
+
+			return result;
+		},
+
+		/**
+		 * @inheritdoc
+		 * @localdoc Optionally emits the remembered value of the topic to each new subscriber first, like `hub:memory/` specials.
+		 *
+		 * 	hub.observe("user/login", true).subscribe(function (args) {
+		 * 		// handle current and future logins
+		 * 	});
+		 *
+		 * @param {String} topic The topic to observe.
+		 * @param {Boolean} [memory=false] Emit the remembered value of the topic (if any) when subscribed to.
+		 * @return {core.event.observable} Observable of publication arguments
+		 */
+		"observe" : function observe(topic, memory) {
+			var me = this;
+			var observable = Emitter.prototype.observe.call(me, topic);
+			var event = {};
+
+			event[TYPE] = topic;
+
+			return memory !== TRUE
+				? observable
+				: Observable(function (observer) {
+					var empty = {};
+					var value = me.peek(topic, empty);
+					var subscription;
+
+					// Emit memory first
+					if (value !== empty) {
+						observer.next(value);
+					}
+
+					subscription = observable.subscribe(observer);
+
+					return function () {
+						subscription.unsubscribe();
+					};
+				}, function (reason) {
+					report(me, event, reason, TRUE);
+				});
+		},
+
 		/**
 		 * Returns value in handlers MEMORY
 		 * @param {String} type event type to peek at
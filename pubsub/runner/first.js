@@ -0,0 +1,84 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"../../event/runner/collect",
+	"../../event/runner/invoke",
+	"./pattern",
+	"when"
+], function FirstModule(collect, invoke, RE_PHASE, when) {
+	"use strict";
+
+	/**
+	 * @class core.pubsub.runner.first
+	 * @implement core.event.emitter.runner
+	 * @private
+	 * @static
+	 * @alias feature.runner
+	 */
+
+	var UNDEFINED;
+	var CONTEXT = "context";
+	var PHASE = "phase";
+	var MEMORY = "memory";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
+
+	/**
+	 * @method constructor
+	 * @inheritdoc
+	 * @localdoc Run event handlers (whose context is not in a blocked phase) **asynchronously** in "sequence", passing to
+	 * each handler the same arguments from emitting, until a handler resolves with a value that is not undefined.
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle before rejecting with a `TimeoutError`
+	 * @return {Promise} Promise of the first value that is not undefined, or undefined if no handler resolved with a value
+	 */
+	return function first(event, handlers, args) {
+		var candidates = collect.call(this, event, handlers);
+		var candidatesCount = 0;
+		var token = event[TOKEN];
+
+		/**
+		 * Internal function for sequential execution of candidates
+		 * @ignore
+		 * @param {*} [result] result from previous candidate callback
+		 * @return {Promise} promise of next candidate callback execution
+		 */
+		var next = function (result) {
+			/*jshint curly:false*/
+			var candidate;
+			var context;
+
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
+			// Return a promise resolved with result if we have one
+			if (result !== UNDEFINED) {
+				// Store args in MEMORY
+				handlers[MEMORY] = args;
+
+				return when.resolve(result);
+			}
+
+			// Iterate candidates while candidate has a context and that context is in a blocked phase
+			while ((candidate = candidates[candidatesCount++]) // Has next candidate
+				&& (context = candidate[CONTEXT])                // Has context
+				&& RE_PHASE.test(context[PHASE]));               // In blocked phase
+
+			if (candidate !== UNDEFINED) {
+				// Return promise of next callback
+				return when(invoke(event, candidate, args), next);
+			}
+			else {
+				// Store args in MEMORY
+				handlers[MEMORY] = args;
+
+				return when.resolve(result);
+			}
+		};
+
+		return next(UNDEFINED);
+	}
+});
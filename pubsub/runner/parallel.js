@@ -0,0 +1,100 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"../../event/runner/collect",
+	"../../event/runner/invoke",
+	"../../event/runner/settle",
+	"../../event/runner/aggregate",
+	"./pattern",
+	"when",
+	"poly/array"
+], function ParallelModule(collect, invoke, settle, aggregate, RE_PHASE, when) {
+	"use strict";
+
+	/**
+	 * @class core.pubsub.runner.parallel
+	 * @implement core.event.emitter.runner
+	 * @private
+	 * @static
+	 * @alias feature.runner
+	 */
+
+	var UNDEFINED;
+	var CONTEXT = "context";
+	var PHASE = "phase";
+	var MEMORY = "memory";
+	var TYPE = "type";
+	var POLICY = "policy";
+	var ERROR = "error";
+	var FAIL = "fail";
+	var REPORT = "report";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
+
+	/**
+	 * @method constructor
+	 * @inheritdoc
+	 * @localdoc Run event handlers **asynchronously** in "parallel", calling all handlers (whose context is not in a blocked phase)
+	 * at once with the same arguments from emitting.
+	 *
+	 * How a failing (or timed out) handler is handled depends on `event.policy`, see {@link core.event.runner.sequence}.
+	 *
+	 * @param {String} [event.policy="fail"] Error policy, one of `"fail"`, `"collect"` or `"report"`
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle
+	 * @return {Promise}
+	 */
+	return function parallel(event, handlers, args) {
+		var policy = event[POLICY] || FAIL;
+		var failures = [];
+		var token = event[TOKEN];
+		var results;
+
+		// Reject if we were cancelled
+		if (token !== UNDEFINED && token[CANCELLED]) {
+			return when.reject(token[REASON]);
+		}
+
+		results = collect.call(this, event, handlers)
+			// Filter candidates with a context in a blocked phase
+			.filter(function (candidate) {
+				var context = candidate[CONTEXT];
+
+				return !(context && RE_PHASE.test(context[PHASE]));
+			})
+			// Call all candidates, either failing fast or settling the outcome of each callback
+			.map(function (candidate) {
+				var result = invoke(event, candidate, args);
+
+				return policy === FAIL
+					? result
+					: settle(result, candidate, failures);
+			});
+
+		return when.all(results).then(function (results) {
+			var error;
+
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
+			// Store args in MEMORY
+			handlers[MEMORY] = args;
+
+			// If we have failures either report them or attach them to results
+			if (failures.length > 0) {
+				error = aggregate(event[TYPE], failures, results);
+
+				if (policy === REPORT) {
+					return when.reject(error);
+				}
+
+				results[ERROR] = error;
+			}
+
+			return results;
+		});
+	}
+});
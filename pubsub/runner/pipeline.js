@@ -2,9 +2,11 @@
  * @license MIT http://troopjs.mit-license.org/
  */
 define([
+	"../../event/runner/collect",
+	"../../event/runner/invoke",
 	"./pattern",
 	"when"
-], function PipelineModule(RE_PHASE, when) {
+], function PipelineModule(collect, invoke, RE_PHASE, when) {
 	"use strict";
 
 	/**
@@ -20,43 +22,23 @@ define([
 	var TOSTRING_ARGUMENTS = "[object Arguments]";
 	var TOSTRING_ARRAY = "[object Array]";
 	var CONTEXT = "context";
-	var CALLBACK = "callback";
-	var HEAD = "head";
-	var NEXT = "next";
 	var PHASE = "phase";
 	var MEMORY = "memory";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
 
 	/**
 	 * @method constructor
 	 * @inheritdoc
 	 * @localdoc Runner that filters and executes candidates in pipeline without overlap
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle before rejecting with a `TimeoutError`
 	 * @return {Promise}
 	 */
 	return function pipeline(event, handlers, args) {
-		var context = event[CONTEXT];
-		var callback = event[CALLBACK];
-		var candidate;
-		var candidates = [];
+		var candidates = collect.call(this, event, handlers);
 		var candidatesCount = 0;
-
-		// Iterate handlers
-		for (candidate = handlers[HEAD]; candidate !== UNDEFINED; candidate = candidate[NEXT]) {
-			// Filter candidate[CONTEXT] if we have context
-			if (context !== UNDEFINED && candidate[CONTEXT] !== context) {
-				continue;
-			}
-
-			// Filter candidate[CALLBACK] if we have callback
-			if (callback !== UNDEFINED && candidate[CALLBACK] !== callback) {
-				continue;
-			}
-
-			// Add to candidates
-			candidates[candidatesCount++] = candidate;
-		}
-
-		// Reset candidatesCount
-		candidatesCount = 0;
+		var token = event[TOKEN];
 
 		/**
 		 * Internal function for piped execution of candidates candidates
@@ -68,7 +50,6 @@ define([
 			/*jshint curly:false*/
 			var context;
 			var candidate;
-			var callback;
 			var type;
 
 			// Check that result is not UNDEFINED and not equals to args
@@ -80,6 +61,11 @@ define([
 					: [ result ];                                                  // otherwise we should just wrap it in a new array
 			}
 
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
 			// TODO Needs cleaner implementation
 			// Iterate until we find a candidate in a blocked phase
 			while ((candidate = candidates[candidatesCount++]) // Has next candidate
@@ -88,9 +74,7 @@ define([
 
 			// Return promise of next callback, or promise resolved with args
 			if (candidate !== UNDEFINED) {
-				// make sure the first handler is always called inside of a promise
-				callback = when.lift(candidate[CALLBACK]);
-				return when(callback.apply(candidate[CONTEXT], args), next);
+				return when(invoke(event, candidate, args), next);
 			} else {
 				return when.resolve(handlers[MEMORY] = args);
 			}
@@ -0,0 +1,93 @@
+/**
+ * @license MIT http://troopjs.mit-license.org/
+ */
+define([
+	"../../event/runner/collect",
+	"../../event/runner/invoke",
+	"./pattern",
+	"when"
+], function ReduceModule(collect, invoke, RE_PHASE, when) {
+	"use strict";
+
+	/**
+	 * @class core.pubsub.runner.reduce
+	 * @implement core.event.emitter.runner
+	 * @private
+	 * @static
+	 * @alias feature.runner
+	 */
+
+	var UNDEFINED;
+	var CONTEXT = "context";
+	var PHASE = "phase";
+	var MEMORY = "memory";
+	var REDUCER = "reducer";
+	var ACCUMULATOR = "accumulator";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
+
+	/**
+	 * @method constructor
+	 * @inheritdoc
+	 * @localdoc Run event handlers (whose context is not in a blocked phase) **asynchronously** in "sequence", passing to
+	 * each handler the same arguments from emitting, and fold the resolved value of each handler into an accumulator
+	 * using `event.reducer`, see {@link core.event.runner.reduce}.
+	 *
+	 * @param {Function} event.reducer Reducer called with the accumulator and the resolved value of a handler,
+	 * returning (a promise of) the next accumulator
+	 * @param {*} [event.accumulator] Initial accumulator
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle before rejecting with a `TimeoutError`
+	 * @return {Promise} Promise of the final accumulator
+	 */
+	return function reduce(event, handlers, args) {
+		var reducer = event[REDUCER];
+		var candidates;
+		var candidatesCount = 0;
+		var token = event[TOKEN];
+
+		// Reject if we don't have a reducer
+		if (typeof reducer !== "function") {
+			return when.reject(new Error("event has to have a '" + REDUCER + "' function"));
+		}
+
+		candidates = collect.call(this, event, handlers);
+
+		/**
+		 * Internal function for sequential execution of candidates
+		 * @ignore
+		 * @param {*} accumulator current accumulator
+		 * @return {Promise} promise of next candidate callback execution
+		 */
+		var next = function (accumulator) {
+			/*jshint curly:false*/
+			var candidate;
+			var context;
+
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
+			// Iterate candidates while candidate has a context and that context is in a blocked phase
+			while ((candidate = candidates[candidatesCount++]) // Has next candidate
+				&& (context = candidate[CONTEXT])                // Has context
+				&& RE_PHASE.test(context[PHASE]));               // In blocked phase
+
+			if (candidate !== UNDEFINED) {
+				// Return promise of next callback folded into accumulator
+				return when(invoke(event, candidate, args), function (result) {
+					return when(reducer(accumulator, result), next);
+				});
+			}
+			else {
+				// Store args in MEMORY
+				handlers[MEMORY] = args;
+
+				return when.resolve(accumulator);
+			}
+		};
+
+		return next(event[ACCUMULATOR]);
+	}
+});
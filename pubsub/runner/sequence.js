@@ -2,9 +2,13 @@
  * @license MIT http://troopjs.mit-license.org/
  */
 define([
+	"../../event/runner/collect",
+	"../../event/runner/invoke",
+	"../../event/runner/settle",
+	"../../event/runner/aggregate",
 	"./pattern",
 	"when"
-], function SequenceModule(RE_PHASE, when) {
+], function SequenceModule(collect, invoke, settle, aggregate, RE_PHASE, when) {
 	"use strict";
 
 	/**
@@ -17,45 +21,36 @@ define([
 
 	var UNDEFINED;
 	var CONTEXT = "context";
-	var CALLBACK = "callback";
-	var HEAD = "head";
-	var NEXT = "next";
 	var PHASE = "phase";
 	var MEMORY = "memory";
+	var TYPE = "type";
+	var POLICY = "policy";
+	var ERROR = "error";
+	var FAIL = "fail";
+	var REPORT = "report";
+	var TOKEN = "token";
+	var CANCELLED = "cancelled";
+	var REASON = "reason";
 
 	/**
 	 * @method constructor
 	 * @inheritdoc
 	 * @localdoc Run event handlers **asynchronously** in "sequence", passing to each handler the same arguments from emitting.
+	 *
+	 * How a failing (or timed out) handler is handled depends on `event.policy`, see {@link core.event.runner.sequence}.
+	 *
+	 * @param {String} [event.policy="fail"] Error policy, one of `"fail"`, `"collect"` or `"report"`
+	 * @param {Number} [event.timeout] Milliseconds to wait for each handler to settle
 	 * @return {Promise}
 	 */
 	return function sequence(event, handlers, args) {
-		var context = event[CONTEXT];
-		var callback = event[CALLBACK];
 		var results = [];
 		var resultsCount = 0;
-		var candidate;
-		var candidates = [];
+		var candidates = collect.call(this, event, handlers);
 		var candidatesCount = 0;
-
-		// Iterate handlers
-		for (candidate = handlers[HEAD]; candidate !== UNDEFINED; candidate = candidate[NEXT]) {
-			// Filter candidate[CONTEXT] if we have context
-			if (context !== UNDEFINED && candidate[CONTEXT] !== context) {
-				continue;
-			}
-
-			// Filter candidate[CALLBACK] if we have callback
-			if (callback !== UNDEFINED && candidate[CALLBACK] !== callback) {
-				continue;
-			}
-
-			// Add to candidates
-			candidates[candidatesCount++] = candidate;
-		}
-
-		// Reset candidatesCount
-		candidatesCount = 0;
+		var policy = event[POLICY] || FAIL;
+		var failures = [];
+		var token = event[TOKEN];
 
 		/**
 		 * Internal function for sequential execution of candidates candidates
@@ -68,13 +63,18 @@ define([
 			/*jshint curly:false*/
 			var candidate;
 			var context;
-			var callback;
+			var error;
 
 			// Store result if no skip
 			if (skip !== true) {
 				results[resultsCount++] = result;
 			}
 
+			// Reject if we were cancelled
+			if (token !== UNDEFINED && token[CANCELLED]) {
+				return when.reject(token[REASON]);
+			}
+
 			// TODO Needs cleaner implementation
 			// Iterate candidates while candidate has a context and that context is in a blocked phase
 			while ((candidate = candidates[candidatesCount++]) // Has next candidate
@@ -82,12 +82,29 @@ define([
 				&& RE_PHASE.test(context[PHASE]));               // In blocked phase
 
 			if (candidate !== UNDEFINED) {
-				// make sure the first handler is always called inside of a promise
-				callback = when.lift(candidate[CALLBACK]);
-				return when(callback.apply(context, args), next);
+				result = invoke(event, candidate, args);
+
+				// Return promise of next callback, either failing fast or continuing with the outcome of this callback
+				return policy === FAIL
+					? when(result, next)
+					: settle(result, candidate, failures).then(next);
 			}
 			else {
-				return (handlers[MEMORY] = args) === args && when.resolve(results);
+				// Store args in MEMORY
+				handlers[MEMORY] = args;
+
+				// If we have failures either report them or attach them to results
+				if (failures.length > 0) {
+					error = aggregate(event[TYPE], failures, results);
+
+					if (policy === REPORT) {
+						return when.reject(error);
+					}
+
+					results[ERROR] = error;
+				}
+
+				return when.resolve(results);
 			}
 		};
 
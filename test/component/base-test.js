@@ -3,6 +3,7 @@ buster.testCase("troopjs-core/component/base", function (run) {
 	"use strict";
 
 	var assert = buster.referee.assert;
+	var refute = buster.referee.refute;
 	var sinon = buster.sinon;
 
 	require( [ "troopjs-core/component/base", "when", "when/delay" ], function (Component, when, delay) {
@@ -141,6 +142,93 @@ buster.testCase("troopjs-core/component/base", function (run) {
 				});
 			},
 
+			"start with timeout": function () {
+				var foo = Component.create({
+					"timeout": 50,
+					"sig/start": function() {
+						return when.defer().promise;
+					}
+				});
+
+				return foo.start().then(function () {
+					assert(false);
+				}, function (error) {
+					assert.same(error.name, "TimeoutError");
+					assert.match(error.message, foo.toString());
+				});
+			},
+
+			"stop cancels emits": function () {
+				var spy = this.spy();
+				var foo = Component.create({
+					"on/foo": function () {
+						return foo.stop();
+					}
+				});
+
+				return foo.start().then(function () {
+					foo.on("foo", spy);
+
+					return foo.emit("foo").then(function () {
+						assert(false);
+					}, function (reason) {
+						assert.same(reason.name, "CancelError");
+						assert.equals(foo.phase, PHASES.FINALIZED);
+						refute.called(spy);
+						refute(foo.token.cancelled);
+					});
+				});
+			},
+
+			"stop rejects waitFor": function () {
+				var foo = Component.create({});
+				var waiting;
+
+				return foo.start().then(function () {
+					waiting = foo.waitFor("foo");
+
+					assert.same(foo.listenerCount("foo"), 1);
+
+					return foo.stop();
+				}).then(function () {
+					return waiting;
+				}).then(function () {
+					assert(false);
+				}, function (reason) {
+					assert.same(reason.name, "CancelError");
+					assert.same(foo.listenerCount("foo"), 0);
+					assert.equals(foo.waiting, []);
+				});
+			},
+
+			"emit does not modify the event object": function () {
+				var foo = Component.create({});
+				var event = {
+					"type": "foo"
+				};
+
+				foo.on("foo", function () {});
+
+				return foo.emit(event).then(function () {
+					assert.equals(Object.keys(event), [ "type" ]);
+				});
+			},
+
+			"tokens and handles do not count as instances": function () {
+				var count = Component.create({}).instanceCount;
+				var foo = Component.create({});
+
+				foo.listen("foo", function () {}).remove();
+				foo.observe("foo").subscribe().unsubscribe();
+				foo.iterate("foo").return();
+
+				return foo.start().then(function () {
+					return foo.stop();
+				}).then(function () {
+					assert.same(Component.create({}).instanceCount, count + 2);
+				});
+			},
+
 			"bug out within task": function () {
 				var err = new Error("bug out");
 				return Component.create({
@@ -189,6 +277,30 @@ buster.testCase("troopjs-core/component/base", function (run) {
 				assert.calledWith(teardown, handlers, "foo", handler2);
 			},
 
+			"event handlers - once": function() {
+				var handler = this.spy();
+				var add = this.spy();
+				var remove = this.spy();
+
+				var foo = Component.create({
+					"sig/add": add,
+					"sig/remove": remove
+				});
+
+				foo.once("foo", handler);
+
+				assert.calledOnce(add);
+
+				return foo.emit("foo", 123).then(function () {
+					return foo.emit("foo", 456);
+				}).then(function () {
+					assert.calledOnce(handler);
+					assert.calledWith(handler, 123);
+					assert.calledOn(handler, foo);
+					assert.calledOnce(remove);
+				});
+			},
+
 			"event handlers - add - prevent default": function() {
 				function handler() {
 					assert(false);
@@ -241,6 +353,270 @@ buster.testCase("troopjs-core/component/base", function (run) {
 				return bar.emit(evt).then(function() {
 					assert.calledOnce(handle);
 				});
+			},
+
+			"listenTo / stopListening": function () {
+				var handler = this.spy();
+				var model = Component.create({});
+				var view = Component.create({});
+
+				view.listenTo(model, "change", handler);
+
+				return model.emit("change", 123).then(function () {
+					assert.calledOnce(handler);
+					assert.calledWith(handler, 123);
+					assert.calledOn(handler, view);
+
+					view.stopListening(model, "change");
+
+					return model.emit("change", 456);
+				}).then(function () {
+					assert.calledOnce(handler);
+					assert.equals(model.listenerCount("change"), 0);
+				});
+			},
+
+			"listenTo - signals the component listened to": function () {
+				var handler = this.spy();
+				var add = this.spy();
+				var remove = this.spy();
+				var model = Component.create({
+					"sig/add": add,
+					"sig/remove": remove
+				});
+				var view = Component.create({});
+
+				view.listenTo(model, "change", handler);
+
+				assert.calledOnce(add);
+
+				return model.emit("change").then(function () {
+					assert.calledOnce(handler);
+					assert.calledOn(handler, view);
+
+					view.stopListening();
+
+					assert.calledOnce(remove);
+					assert.same(model.listenerCount("change"), 0);
+				});
+			},
+
+			"listenTo - stops listening on finalize": function () {
+				var handler = this.spy();
+				var model = Component.create({});
+				var view = Component.create({});
+
+				view.listenTo(model, "change", handler);
+
+				return view.start().then(function () {
+					return view.stop();
+				}).then(function () {
+					return model.emit("change");
+				}).then(function () {
+					refute.called(handler);
+				});
+			},
+
+			"bubbling": function () {
+				var grandparent = Component.create({});
+				var parent = Component.create({});
+				var child = Component.create({}).setParent(parent.setParent(grandparent));
+				var childHandler = this.spy();
+				var parentHandler = this.spy();
+				var grandparentHandler = this.spy();
+
+				child.on("bubble", childHandler);
+				parent.on("bubble", parentHandler);
+				grandparent.on("bubble", grandparentHandler);
+
+				return child.emit({
+					"type": "bubble",
+					"bubbles": true
+				}, 123).then(function () {
+					assert.calledOnce(childHandler);
+					assert.calledOnce(parentHandler);
+					assert.calledOnce(grandparentHandler);
+					assert.callOrder(childHandler, parentHandler, grandparentHandler);
+					assert.calledWith(childHandler, 123);
+					assert.calledWith(parentHandler, 123);
+					assert.calledOn(parentHandler, parent);
+
+					// Does not bubble unless asked to
+					return child.emit("bubble", 456);
+				}).then(function () {
+					assert.calledTwice(childHandler);
+					assert.calledOnce(parentHandler);
+				});
+			},
+
+			"bubbling - stop propagation": function () {
+				var grandparent = Component.create({});
+				var parent = Component.create({});
+				var child = Component.create({}).setParent(parent.setParent(grandparent));
+				var grandparentHandler = this.spy();
+
+				parent.on("bubble", function () {
+					return false;
+				});
+				grandparent.on("bubble", grandparentHandler);
+
+				return child.emit({
+					"type": "bubble",
+					"bubbles": true
+				}).then(function () {
+					refute.called(grandparentHandler);
+				});
+			},
+
+			"bubbling - stop propagation at the target": function () {
+				var parent = Component.create({});
+				var child = Component.create({}).setParent(parent);
+				var childHandler = this.spy();
+				var parentHandler = this.spy();
+
+				child.on("bubble", function () {
+					return false;
+				});
+				child.on("bubble", childHandler);
+				parent.on("bubble", parentHandler);
+
+				return child.emit({
+					"type": "bubble",
+					"bubbles": true
+				}).then(function () {
+					assert.calledOnce(childHandler);
+					refute.called(parentHandler);
+				});
+			},
+
+			"bubbling - event object is not modified": function () {
+				var parent = Component.create({});
+				var child = Component.create({}).setParent(parent);
+				var targets = [];
+				var event = {
+					"type": "bubble",
+					"bubbles": true,
+					"timeout": 1000
+				};
+
+				parent.addInterceptor({
+					"before": function (event) {
+						targets.push(event.target, event.currentTarget, event.timeout);
+					}
+				});
+
+				return child.emit(event).then(function () {
+					return child.emit(event);
+				}).then(function () {
+					assert.equals(Object.keys(event), [ "type", "bubbles", "timeout" ]);
+					assert.equals(targets, [ child, parent, 0, child, parent, 0 ]);
+				});
+			},
+
+			"bubbling - failure not logged when handled": function () {
+				var parent = Component.create({});
+				var child = Component.create({}).setParent(parent);
+				var err = new Error("bug out");
+				var log = this.stub(parent, "error");
+
+				parent.on("bubble", function () {
+					throw err;
+				});
+
+				return child.emit({
+					"type": "bubble",
+					"bubbles": true
+				}).then(function () {
+					assert(false);
+				}, function (reason) {
+					assert.same(reason, err);
+					refute.called(log);
+				});
+			},
+
+			"bubbling - ancestor runner": function () {
+				var runner = this.spy(function () {
+					return when.resolve([]);
+				});
+				var parent = Component.extend({
+					"runner": runner
+				}).create({});
+				var child = Component.create({}).setParent(parent);
+
+				return child.emit({
+					"type": "bubble",
+					"bubbles": true
+				}).then(function () {
+					assert.calledOnce(runner);
+					assert.calledOn(runner, parent);
+				});
+			},
+
+			"sig/error": function () {
+				var err = new Error("bug out");
+				var spy = this.spy();
+				var component = Component.create({
+					"sig/error": spy
+				});
+
+				component.on("fail", function () {
+					throw err;
+				});
+
+				return component.emit("fail").then(function () {
+					assert(false);
+				}, function (reason) {
+					assert.same(reason, err);
+					assert.calledOnce(spy);
+					assert.calledWith(spy, err, "fail", component);
+				});
+			},
+
+			"listen": function () {
+				var spy = this.spy();
+				var remove = this.spy();
+				var component = Component.create({
+					"sig/remove": remove
+				});
+				var subscription = component.listen("foo", spy);
+
+				return component.emit("foo").then(function () {
+					assert.calledOnce(spy);
+					assert.calledOn(spy, component);
+
+					subscription.remove();
+
+					assert.calledOnce(remove);
+
+					return component.emit("foo");
+				}).then(function () {
+					assert.calledOnce(spy);
+				});
+			},
+
+			"wildcards do not match signals": function () {
+				var spy = this.spy();
+				var foo = Component.create({});
+
+				foo.on("**", spy);
+
+				return foo.start().then(function () {
+					refute.called(spy);
+
+					return foo.emit("foo/bar", 123);
+				}).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 123);
+				});
+			},
+
+			"setParent - cycle": function () {
+				var parent = Component.create({});
+				var child = Component.create({}).setParent(parent);
+
+				assert.exception(function () {
+					parent.setParent(child);
+				});
 			}
 		});
 	});
@@ -21,7 +21,7 @@ buster.testCase("troopjs-core/component/gadget", function (run) {
 		}
 	}
 
-	require( [ "troopjs-core/component/gadget"] , function (Gadget) {
+	require( [ "troopjs-core/component/gadget", "troopjs-core/pubsub/runner/parallel" ] , function (Gadget, parallel) {
 
 		run({
 			"publish/subscribe": {
@@ -260,6 +260,261 @@ buster.testCase("troopjs-core/component/gadget", function (run) {
 				});
 			},
 
+			"subscribeOnce/publish": function() {
+				var foo = this.spy();
+				var g1 = Gadget.create({});
+
+				g1.subscribeOnce("foo", foo);
+
+				return g1.publish("foo", 1).then(function() {
+					return g1.publish("foo", 2).then(function() {
+						assert.calledOnce(foo);
+						assert.calledWithExactly(foo, 1);
+						assert.calledOn(foo, g1);
+					});
+				});
+			},
+
+			"subscribe/publish with priority": function() {
+				var calls = [];
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+
+				function persist() {
+					calls.push("persist");
+				}
+
+				function validate() {
+					calls.push("validate");
+				}
+
+				g1.subscribe("foo/priority", persist);
+				g2.subscribe("foo/priority", validate, undefined, 10);
+
+				return g1.publish("foo/priority").then(function() {
+					g1.unsubscribe("foo/priority", persist);
+					g2.unsubscribe("foo/priority", validate);
+
+					assert.equals(calls, [ "validate", "persist" ]);
+				});
+			},
+
+			"publish with parallel runner": function() {
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+
+				function one() {
+					return 1;
+				}
+
+				function two() {
+					return 2;
+				}
+
+				g1.subscribe("foo/parallel", one);
+				g2.subscribe("foo/parallel", two);
+
+				return g1.publish({
+					"type": "foo/parallel",
+					"runner": parallel
+				}).then(function(results) {
+					g1.unsubscribe("foo/parallel", one);
+					g2.unsubscribe("foo/parallel", two);
+
+					assert.equals(results, [ 1, 2 ]);
+				});
+			},
+
+			"publish cancelled by stop": function() {
+				var spy = this.spy();
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+
+				function stop() {
+					return g1.stop();
+				}
+
+				g2.subscribe("foo/cancel", stop);
+				g2.subscribe("foo/cancel", spy);
+
+				return g1.start().then(function() {
+					return g1.publish("foo/cancel").then(function() {
+						assert(false);
+					}, function(reason) {
+						g2.unsubscribe("foo/cancel");
+
+						assert.same(reason.name, "CancelError");
+						refute.called(spy);
+					});
+				});
+			},
+
+			"listen hub subscription handle": function () {
+				var spy = this.spy();
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+				var subscription = g2.listen("hub/foo/listen", spy);
+
+				return g1.publish("foo/listen", 1).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1);
+					assert.calledOn(spy, g2);
+
+					subscription.pause();
+
+					return g1.publish("foo/listen", 2);
+				}).then(function () {
+					assert.calledOnce(spy);
+
+					subscription.resume();
+
+					return g1.publish("foo/listen", 3);
+				}).then(function () {
+					assert.calledTwice(spy);
+
+					subscription.remove();
+
+					return g1.publish("foo/listen", 4);
+				}).then(function () {
+					assert.calledTwice(spy);
+				});
+			},
+
+			"iterate hub topic": function () {
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+				var iterator;
+
+				return g2.start().then(function () {
+					iterator = g2.iterate("hub/foo/iterate");
+
+					return g1.publish("foo/iterate", 1);
+				}).then(function () {
+					return iterator.next();
+				}).then(function (result) {
+					assert.equals(result, { "value": [ 1 ], "done": false });
+
+					return g2.stop();
+				}).then(function () {
+					assert(iterator.done);
+
+					return iterator.next();
+				}).then(function (result) {
+					assert(result.done);
+				});
+			},
+
+			"publishFrom observable": function () {
+				var spy = this.spy();
+				var unsubscribe = this.spy();
+				var observers = [];
+				var observable = {
+					"subscribe": function (observer) {
+						observers.push(observer);
+
+						return {
+							"unsubscribe": unsubscribe
+						};
+					}
+				};
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+
+				g2.subscribe("foo/observable", spy);
+
+				return g1.start().then(function () {
+					g1.publishFrom("foo/observable", observable);
+
+					observers[0].next(1);
+
+					return g1.stop();
+				}).then(function () {
+					assert.calledOnce(unsubscribe);
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1);
+
+					g2.unsubscribe("foo/observable");
+				});
+			},
+
+			"waitFor hub topic": function () {
+				var g1 = Gadget.create({});
+				var waiting = g1.waitFor("hub/foo/wait", function (value) {
+					return value === "bar";
+				});
+
+				return g1.publish("foo/wait", "foo").then(function () {
+					return g1.publish("foo/wait", "bar");
+				}).then(function () {
+					return waiting;
+				}).then(function (args) {
+					assert.equals(args, [ "bar" ]);
+					assert.same(g1.listenerCount("hub/foo/wait"), 0);
+				});
+			},
+
+			"waitFor hub topic memory": function () {
+				var g1 = Gadget.create({});
+
+				return g1.publish("foo/memory", 123).then(function () {
+					return g1.waitFor("hub/foo/memory", 1000, true);
+				}).then(function (args) {
+					assert.equals(args, [ 123 ]);
+					assert.same(g1.listenerCount("hub/foo/memory"), 0);
+				});
+			},
+
+			"waitFor hub topic memory that does not match": function () {
+				var g1 = Gadget.create({});
+
+				return g1.publish("foo/memory", 1).then(function () {
+					var waiting = g1.waitFor("hub/foo/memory", function (value) {
+						return value > 1;
+					}, true);
+
+					assert.same(g1.listenerCount("hub/foo/memory"), 1);
+
+					// Publish right away, before waitFor could listen on a later tick
+					g1.publish("foo/memory", 2);
+
+					return waiting;
+				}).then(function (args) {
+					assert.equals(args, [ 2 ]);
+					assert.same(g1.listenerCount("hub/foo/memory"), 0);
+				});
+			},
+
+			"listenTo hub topic of another gadget": function () {
+				var spy = this.spy();
+				var g1 = Gadget.create({});
+				var g2 = Gadget.create({});
+
+				g2.listenTo(g1, "hub/foo/listenTo", spy);
+
+				return g2.publish("foo/listenTo", 123).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 123);
+					assert.calledOn(spy, g2);
+
+					g2.stopListening();
+
+					return g2.publish("foo/listenTo", 456);
+				}).then(function () {
+					assert.calledOnce(spy);
+				});
+			},
+
+			"publish does not modify the event object": function () {
+				var g1 = Gadget.create({});
+				var event = {
+					"type": "foo/copy"
+				};
+
+				return g1.publish(event, 123).then(function () {
+					assert.equals(Object.keys(event), [ "type" ]);
+				});
+			},
+
 			"publish after called .off": function() {
 				var foo = this.spy();
 				var g1 = Gadget.create({
@@ -0,0 +1,47 @@
+/*globals buster:false, EventTarget:false, Event:false*/
+buster.testCase("troopjs-core/event/bridge/dom", function (run) {
+	"use strict";
+
+	var assert = buster.referee.assert;
+
+	require( [ "troopjs-core/event/bridge/dom", "troopjs-core/event/emitter" ] , function (bridge, Emitter) {
+
+		run({
+			"from": function () {
+				var source = new EventTarget();
+				var emitter = Emitter();
+				var spy = this.spy();
+				var event = new Event("click");
+				var teardown = bridge.from(source, emitter, "click", "dom/");
+
+				emitter.on("dom/click", this, spy);
+
+				source.dispatchEvent(event);
+
+				assert.calledOnce(spy);
+				assert.calledWithExactly(spy, event);
+
+				teardown();
+
+				source.dispatchEvent(new Event("click"));
+
+				assert.calledOnce(spy);
+			},
+
+			"to": function () {
+				var emitter = Emitter();
+				var target = new EventTarget();
+				var spy = this.spy();
+
+				bridge.to(emitter, target, "change", "dom/");
+
+				target.addEventListener("change", spy);
+
+				return emitter.emit("dom/change", 1, 2).then(function () {
+					assert.calledOnce(spy);
+					assert.equals(spy.firstCall.args[0].detail, [ 1, 2 ]);
+				});
+			}
+		});
+	});
+});
@@ -0,0 +1,163 @@
+/*globals buster:false*/
+buster.testCase("troopjs-core/event/bridge/node", function (run) {
+	"use strict";
+
+	var assert = buster.referee.assert;
+	var refute = buster.referee.refute;
+
+	require( [ "troopjs-core/event/bridge/node", "troopjs-core/event/emitter", "troopjs-core/component/base", "troopjs-core/component/gadget", "troopjs-core/pubsub/hub", "when/delay" ] , function (bridge, Emitter, Component, Gadget, hub, delay) {
+
+		function NodeEmitter() {
+			this.listeners = {};
+		}
+
+		NodeEmitter.prototype.on = function (type, listener) {
+			(this.listeners[type] = this.listeners[type] || []).push(listener);
+		};
+
+		NodeEmitter.prototype.removeListener = function (type, listener) {
+			this.listeners[type] = (this.listeners[type] || []).filter(function (l) {
+				return l !== listener;
+			});
+		};
+
+		NodeEmitter.prototype.emit = function (type) {
+			var args = Array.prototype.slice.call(arguments, 1);
+
+			(this.listeners[type] || []).forEach(function (listener) {
+				listener.apply(this, args);
+			}, this);
+		};
+
+		run({
+			"from": function () {
+				var source = new NodeEmitter();
+				var spy = this.spy();
+				var teardown;
+
+				hub.subscribe("node/data", this, spy);
+
+				teardown = bridge.from(source, hub, [ "data", "end" ], "node/");
+
+				source.emit("data", 1, 2);
+
+				return hub.publish("node/noop").then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1, 2);
+					assert.equals(hub.peek("node/data"), [ 1, 2 ]);
+
+					teardown();
+
+					source.emit("data", 3);
+
+					assert.calledOnce(spy);
+					assert.equals(source.listeners, { "data": [], "end": [] });
+
+					hub.unsubscribe("node/data");
+				});
+			},
+
+			"from - failures are reported": function () {
+				var emitter = Emitter();
+				var source = new NodeEmitter();
+				var err = new Error("bug out");
+				var spy = this.spy();
+				var log = this.stub(emitter, "error");
+
+				emitter.on("data", this, function () {
+					throw err;
+				});
+
+				bridge.from(source, emitter, "data");
+
+				source.emit("data", 1);
+
+				return delay(10).then(function () {
+					assert.calledOnce(log);
+					assert.match(log.firstCall.args[0], "unhandled error handling 'data'");
+					assert.same(log.firstCall.args[1], err);
+
+					emitter.on("error", this, spy);
+
+					source.emit("data", 2);
+
+					return delay(10);
+				}).then(function () {
+					assert.calledOnce(log);
+					assert.calledOnce(spy);
+					assert.calledWith(spy, err, "data");
+				});
+			},
+
+			"to": function () {
+				var emitter = Emitter();
+				var target = new NodeEmitter();
+				var spy = this.spy();
+				var teardown = bridge.to(emitter, target, "change");
+
+				target.on("change", spy);
+
+				return emitter.emit("change", 1).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1);
+
+					teardown();
+
+					assert.same(emitter.listenerCount("change"), 0);
+				});
+			},
+
+			"to - hub topics of a gadget": function () {
+				var gadget = Gadget.create({});
+				var target = new NodeEmitter();
+				var spy = this.spy();
+				var teardown;
+
+				target.on("foo/bridge", spy);
+
+				return gadget.start().then(function () {
+					teardown = bridge.to(gadget, target, "foo/bridge", "hub/");
+
+					return hub.publish("foo/bridge", 1);
+				}).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1);
+
+					teardown();
+
+					assert.same(gadget.listenerCount("hub/foo/bridge"), 0);
+
+					return hub.publish("foo/bridge", 2);
+				}).then(function () {
+					assert.calledOnce(spy);
+
+					return gadget.stop();
+				});
+			},
+
+			"teardown on finalize": function () {
+				var component = Component.create({});
+				var source = new NodeEmitter();
+				var spy = this.spy();
+
+				component.on("data", spy);
+
+				bridge.from(source, component, "data", "", component);
+
+				return component.start().then(function () {
+					source.emit("data", 1);
+
+					return delay(10);
+				}).then(function () {
+					return component.stop();
+				}).then(function () {
+					source.emit("data", 2);
+
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1);
+					assert.equals(source.listeners.data, []);
+				});
+			}
+		});
+	});
+});
@@ -3,8 +3,9 @@ buster.testCase("troopjs-core/event/emitter", function (run) {
 	"use strict";
 
 	var assert = buster.referee.assert;
+	var refute = buster.referee.refute;
 
-	require( [ "troopjs-core/event/emitter", "when", "when/delay" ] , function (Emitter, when, delay) {
+	require( [ "troopjs-core/event/emitter", "troopjs-core/event/runner/parallel", "troopjs-core/event/runner/sync", "troopjs-core/event/token", "when", "when/delay" ] , function (Emitter, parallel, sync, Token, when, delay) {
 
 		run({
 			"on/emit" : function () {
@@ -116,6 +117,80 @@ buster.testCase("troopjs-core/event/emitter", function (run) {
 					});
 			},
 
+			"on/emit with priority": function () {
+				var emitter = Emitter();
+				var context = this;
+				var calls = [];
+
+				function push(name) {
+					return function () {
+						calls.push(name);
+					};
+				}
+
+				return emitter
+					.on("test", context, push("one"))
+					.on("test", context, push("two"), undefined, -1)
+					.on("test", context, push("three"), undefined, 1)
+					.on("test", context, push("four"))
+					.on("test", context, push("five"), undefined, 1)
+					.on("*", context, push("six"), undefined, 2)
+					.emit("test")
+					.then(function () {
+						assert.equals(calls, [ "six", "three", "five", "one", "four", "two" ]);
+					});
+			},
+
+			"on/emit parallel": function () {
+				var emitter = Emitter();
+				var context = this;
+				var calls = [];
+
+				return emitter
+					.on("test", context, function (arg) {
+						calls.push("one");
+						return delay(100, arg + 1);
+					})
+					.on("test", context, function (arg) {
+						calls.push("two");
+						assert.equals(calls, [ "one", "two" ]);
+						return arg + 2;
+					})
+					.emit({
+						"type": "test",
+						"runner": parallel
+					}, 0)
+					.then(function (results) {
+						assert.equals(results, [ 1, 2 ]);
+					});
+			},
+
+			"on/emit parallel with collect policy": function () {
+				var emitter = Emitter();
+				var context = this;
+				var err = new Error("bug out");
+
+				return emitter
+					.on("test", context, function () {
+						return delay(50).then(function () {
+							throw err;
+						});
+					})
+					.on("test", context, function () {
+						return "two";
+					})
+					.emit({
+						"type": "test",
+						"runner": parallel,
+						"policy": "collect"
+					})
+					.then(function (outcomes) {
+						assert.equals(outcomes[0], { "state": "rejected", "reason": err });
+						assert.equals(outcomes[1], { "state": "fulfilled", "value": "two" });
+						assert.same(outcomes.error.errors[0].reason, err);
+					});
+			},
+
 			"off/emit with context and callback": function() {
 				var emitter = Emitter();
 				var context = this;
@@ -235,6 +310,927 @@ buster.testCase("troopjs-core/event/emitter", function (run) {
 					});
 			},
 
+			"on/emit wildcard": function () {
+				var emitter = Emitter();
+				var context = this;
+				var calls = [];
+
+				return emitter
+					.on("user/*", context, function (arg) {
+						calls.push("user/* " + arg);
+					})
+					.on("user/login", context, function (arg) {
+						calls.push("user/login " + arg);
+					})
+					.on("user/**", context, function (arg) {
+						calls.push("user/** " + arg);
+					})
+					.emit("user/login", "one")
+					.then(function () {
+						return emitter.emit("user/login/failed", "two");
+					})
+					.then(function () {
+						return emitter.emit("user", "three");
+					})
+					.then(function () {
+						assert.equals(calls, [
+							"user/* one",
+							"user/login one",
+							"user/** one",
+							"user/** two"
+						]);
+					});
+			},
+
+			"off/emit wildcard": function () {
+				var emitter = Emitter();
+				var context = this;
+				var count = 0;
+
+				return emitter
+					.on("user/*", context, function () {
+						count++;
+					})
+					.emit("user/login")
+					.then(function () {
+						return emitter
+							.off("user/*")
+							.emit("user/login")
+							.then(function () {
+								assert.same(count, 1);
+							});
+					});
+			},
+
+			"once/emit": function () {
+				var emitter = Emitter();
+				var context = this;
+				var count = 0;
+
+				return emitter
+					.once("test", context, function (arg) {
+						assert.same(arg, "one");
+						count++;
+					})
+					.emit("test", "one")
+					.then(function () {
+						return emitter.emit("test", "two");
+					})
+					.then(function () {
+						assert.same(count, 1);
+					});
+			},
+
+			"once/off/emit with callback": function () {
+				var emitter = Emitter();
+				var context = this;
+				var callback = function () {
+					assert(false);
+				};
+
+				return emitter
+					.once("test", context, callback)
+					.off("test", context, callback)
+					.emit("test");
+			},
+
+			"emit with collect policy": function () {
+				var emitter = Emitter();
+				var context = this;
+				var err = new Error("bug out");
+				var count = 0;
+
+				return emitter
+					.on("test", context, function () {
+						throw err;
+					})
+					.on("test", context, function () {
+						return ++count;
+					})
+					.emit({
+						"type": "test",
+						"policy": "collect"
+					})
+					.then(function (outcomes) {
+						assert.same(count, 1);
+						assert.equals(outcomes[0], { "state": "rejected", "reason": err });
+						assert.equals(outcomes[1], { "state": "fulfilled", "value": 1 });
+						assert.same(outcomes.error.errors[0].reason, err);
+						assert.same(outcomes.error.errors[0].context, context);
+						assert.same(outcomes.error.outcomes, outcomes);
+					});
+			},
+
+			"emit with report policy": function () {
+				var emitter = Emitter();
+				var context = this;
+				var count = 0;
+
+				return emitter
+					.on("test", context, function () {
+						return when.reject(new Error("bug out"));
+					})
+					.on("test", context, function () {
+						count++;
+					})
+					.emit({
+						"type": "test",
+						"policy": "report"
+					})
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.same(count, 1);
+						assert.match(error.message, "1 handler(s) failed handling 'test'");
+						assert.same(error.errors.length, 1);
+						assert.same(error.outcomes.length, 2);
+					});
+			},
+
+			"emit with timeout": function () {
+				var emitter = Emitter();
+				var context = this;
+
+				return emitter
+					.on("test", context, function () {
+						return when.defer().promise;
+					})
+					.emit({
+						"type": "test",
+						"timeout": 50
+					})
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.same(error.name, "TimeoutError");
+						assert.match(error.message, "timed out after 50ms handling 'test'");
+					});
+			},
+
+			"emit with default timeout and collect policy": function () {
+				var emitter = Emitter();
+				var context = this;
+				var spy = this.spy();
+
+				emitter.timeout = 50;
+
+				return emitter
+					.on("test", context, function () {
+						return when.defer().promise;
+					})
+					.on("test", context, spy)
+					.emit({
+						"type": "test",
+						"policy": "collect"
+					})
+					.then(function (outcomes) {
+						assert.calledOnce(spy);
+						assert.same(outcomes[0].state, "rejected");
+						assert.same(outcomes[0].reason.name, "TimeoutError");
+					});
+			},
+
+			"emit cancel": function () {
+				var emitter = Emitter();
+				var context = this;
+				var token = Token();
+				var spy = this.spy();
+
+				return emitter
+					.on("test", context, function () {
+						token.cancel("no more");
+						return delay(50);
+					})
+					.on("test", context, spy)
+					.emit({
+						"type": "test",
+						"token": token
+					})
+					.then(function () {
+						assert(false);
+					}, function (reason) {
+						refute.called(spy);
+						assert.same(reason.name, "CancelError");
+						assert.same(reason.message, "no more");
+						assert.same(reason.token, token);
+						assert.same(token.reason, reason);
+					});
+			},
+
+			"emit cancelled": function () {
+				var spy = this.spy();
+				var token = Token().cancel();
+
+				return Emitter()
+					.on("test", this, spy)
+					.emit({
+						"type": "test",
+						"runner": parallel,
+						"token": token
+					})
+					.then(function () {
+						assert(false);
+					}, function (reason) {
+						refute.called(spy);
+						assert.same(reason, token.reason);
+					});
+			},
+
+			"eventNames/listenerCount/listeners": function () {
+				var emitter = Emitter();
+				var context = this;
+				var data = {};
+
+				function one() {}
+				function two() {}
+
+				emitter
+					.on("one", context, one, data)
+					.once("one", context, two, undefined, 1)
+					.on("two", context, two)
+					.on("three", context, one)
+					.off("three");
+
+				assert.equals(emitter.eventNames(), [ "one", "two" ]);
+				assert.same(emitter.listenerCount("one"), 2);
+				assert.same(emitter.listenerCount("three"), 0);
+				assert.same(emitter.listenerCount("four"), 0);
+				assert.equals(emitter.listeners("one"), [{
+					"type": "one",
+					"context": context,
+					"callback": two,
+					"data": undefined,
+					"priority": 1
+				}, {
+					"type": "one",
+					"context": context,
+					"callback": one,
+					"data": data,
+					"priority": 0
+				}]);
+				assert.equals(emitter.listeners("four"), []);
+			},
+
+			"on max listeners": function () {
+				var emitter = Emitter();
+				var warn = this.stub(emitter, "warn");
+				var i;
+
+				function noop() {}
+
+				emitter.setMaxListeners(2);
+				emitter.setMaxListeners(0, "two");
+
+				for (i = 0; i < 4; i++) {
+					emitter
+						.on("one", { "toString": function () { return "one"; } }, noop)
+						.on("two", this, noop);
+				}
+
+				assert.same(emitter.getMaxListeners(), 2);
+				assert.same(emitter.getMaxListeners("one"), 2);
+				assert.same(emitter.getMaxListeners("two"), 0);
+				assert.calledOnce(warn);
+				assert.match(warn.firstCall.args[0], "3 listeners added for 'one'");
+				assert.match(warn.firstCall.args[0], "one, one, one");
+
+				emitter.setMaxListeners(4, "one");
+				emitter.on("one", this, noop);
+
+				assert.calledTwice(warn);
+				assert.same(emitter.listenerCount("one"), 5);
+			},
+
+			"on max listeners after off": function () {
+				var emitter = Emitter();
+				var warn = this.stub(emitter, "warn");
+				var i;
+
+				function noop() {}
+
+				emitter.setMaxListeners(1);
+
+				for (i = 0; i < 2; i++) {
+					emitter.on("one", this, noop);
+				}
+
+				assert.calledOnce(warn);
+
+				emitter.off("one");
+
+				for (i = 0; i < 2; i++) {
+					emitter.on("one", this, noop);
+				}
+
+				assert.calledTwice(warn);
+
+				emitter.off("one", this);
+
+				for (i = 0; i < 2; i++) {
+					emitter.on("one", this, noop);
+				}
+
+				assert.calledThrice(warn);
+			},
+
+			"emit buffer": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var buffered = [];
+				var i;
+
+				for (i = 0; i < 3; i++) {
+					buffered.push(emitter.emit({
+						"type": "one",
+						"buffer": 2
+					}, i));
+				}
+
+				emitter.on("one", this, spy);
+
+				refute.called(spy);
+
+				return when.all(buffered).then(function (results) {
+					assert.calledTwice(spy);
+					assert.calledWith(spy.firstCall, 0);
+					assert.calledWith(spy.secondCall, 1);
+					assert.equals(results, [ [ undefined ], [ undefined ], [] ]);
+				});
+			},
+
+			"emit buffer flushed by wildcard listener": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var other = this.spy();
+				var buffered = emitter.emit({
+					"type": "a/b",
+					"buffer": 5
+				}, 1);
+
+				emitter.emit({
+					"type": "c/d",
+					"buffer": 5
+				}, 2);
+
+				emitter.on("c/*/e", this, other);
+				emitter.on("a/*", this, spy);
+
+				return buffered.then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 1);
+					refute.called(other);
+				});
+			},
+
+			"emit debounce": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var first;
+				var second;
+
+				emitter.on("one", this, spy);
+
+				first = emitter.emit({
+					"type": "one",
+					"debounce": 20
+				}, 1);
+
+				return delay(10).then(function () {
+					second = emitter.emit({
+						"type": "one",
+						"debounce": 20
+					}, 2);
+
+					return delay(15);
+				}).then(function () {
+					refute.called(spy);
+
+					return when.all([ first, second ]);
+				}).then(function () {
+					assert.same(first, second);
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 2);
+				});
+			},
+
+			"emit throttle": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var promises = [];
+				var i;
+
+				emitter.on("one", this, spy);
+
+				for (i = 0; i < 5; i++) {
+					promises.push(emitter.emit({
+						"type": "one",
+						"throttle": 10
+					}, i));
+				}
+
+				return when.all(promises).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 4);
+
+					return emitter.emit({
+						"type": "one",
+						"throttle": 10
+					}, 5);
+				}).then(function () {
+					assert.calledTwice(spy);
+					assert.calledWith(spy.secondCall, 5);
+				});
+			},
+
+			"emit debounce with throwing synchronous runner": function () {
+				var emitter = Emitter();
+				var err = new Error("bug out");
+
+				emitter.runner = sync;
+				emitter.on("error", this, function () {});
+				emitter.on("one", this, function () {
+					throw err;
+				});
+
+				return emitter.emit({
+					"type": "one",
+					"debounce": 10
+				}).then(function () {
+					assert(false);
+				}, function (reason) {
+					assert.same(reason, err);
+				});
+			},
+
+			"emit schema": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var warn = this.stub(emitter, "warn");
+
+				emitter
+					.setSchema("one", {
+						"type": "array",
+						"items": [ { "type": "number" } ]
+					})
+					.on("one", this, spy);
+
+				return emitter.emit("one", "foo").then(function () {
+					assert(false);
+				}, function (error) {
+					refute.called(spy);
+					assert.match(error.message, "invalid arguments emitting 'one'");
+					assert.equals(error.errors, [ "args[0] should be number but is string" ]);
+
+					emitter.validation = "log";
+
+					return emitter.emit("one", "foo");
+				}).then(function () {
+					assert.calledOnce(warn);
+					assert.calledOnce(spy);
+
+					emitter.validation = false;
+
+					return emitter.emit("one", "foo");
+				}).then(function () {
+					assert.calledOnce(warn);
+					assert.calledTwice(spy);
+
+					return emitter.setSchema("one").emit("one", 1);
+				}).then(function () {
+					assert.calledThrice(spy);
+					assert.same(emitter.getSchema("one"), undefined);
+				});
+			},
+
+			"emit schema with synchronous runner": function () {
+				var emitter = Emitter();
+
+				emitter.runner = sync;
+				emitter.setSchema("one", {
+					"type": "array",
+					"items": [ { "type": "number" } ]
+				});
+
+				assert.exception(function () {
+					emitter.emit("one", "foo");
+				}, {
+					"message": "invalid arguments emitting 'one'"
+				});
+			},
+
+			"emit schema validates coalesced emissions once": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var warn = this.stub(emitter, "warn");
+				var promises = [];
+				var i;
+
+				emitter.validation = "log";
+				emitter
+					.setSchema("one", {
+						"type": "array",
+						"items": [ { "type": "number" } ]
+					})
+					.on("one", this, spy);
+
+				for (i = 0; i < 3; i++) {
+					promises.push(emitter.emit({
+						"type": "one",
+						"debounce": 10
+					}, "foo"));
+				}
+
+				return when.all(promises).then(function () {
+					assert.calledOnce(warn);
+					assert.calledOnce(spy);
+				});
+			},
+
+			"emit error event": function () {
+				var emitter = Emitter();
+				var context = {};
+				var err = new Error("bug out");
+				var spy = this.spy();
+				var log = this.stub(emitter, "error");
+
+				emitter.on("one", context, function () {
+					throw err;
+				});
+
+				return emitter.emit("one").then(function () {
+					assert(false);
+				}, function (reason) {
+					assert.same(reason, err);
+
+					emitter.on("error", this, spy);
+
+					return emitter.emit("one").otherwise(function () {});
+				}).then(function () {
+					refute.called(log);
+					assert.calledOnce(spy);
+					assert.calledWith(spy, err, "one", context);
+				});
+			},
+
+			"emit error not logged when handled": function () {
+				var emitter = Emitter();
+				var err = new Error("bug out");
+				var log = this.stub(emitter, "error");
+
+				emitter.on("one", this, function () {
+					throw err;
+				});
+
+				return when.all([ emitter.emit("one") ]).otherwise(function (reason) {
+					assert.same(reason, err);
+
+					return delay(10);
+				}).then(function () {
+					refute.called(log);
+				});
+			},
+
+			"interceptors": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+				var order = [];
+				var first = {
+					"before": function (event, handlers, args) {
+						order.push("first before");
+						args[0] = args[0] * 2;
+					},
+					"after": function (event, result) {
+						order.push("first after");
+						return when(result).then(function (results) {
+							return results.length;
+						});
+					}
+				};
+				var second = {
+					"before": function (event) {
+						order.push("second before");
+						if (event.type === "veto") {
+							return when.resolve("vetoed");
+						}
+					},
+					"after": function () {
+						order.push("second after");
+					}
+				};
+
+				emitter
+					.addInterceptor(first)
+					.addInterceptor(second)
+					.on("one", this, spy)
+					.on("veto", this, spy);
+
+				return emitter.emit("one", 1).then(function (result) {
+					assert.same(result, 1);
+					assert.calledOnce(spy);
+					assert.calledWith(spy, 2);
+					assert.equals(order, [ "first before", "second before", "second after", "first after" ]);
+
+					return emitter.removeInterceptor(first).emit("veto", 1);
+				}).then(function (result) {
+					assert.same(result, "vetoed");
+					assert.calledOnce(spy);
+				});
+			},
+
+			"tracer": function () {
+				var emitter = Emitter();
+				var records = [];
+				var err = new Error("bug out");
+				var context = {
+					"toString": function () {
+						return "context";
+					}
+				};
+
+				emitter.tracer = function (record) {
+					records.push(record);
+				};
+
+				emitter
+					.on("one", context, function slow() {
+						return delay(20, "slow");
+					})
+					.once("one", context, function failing() {
+						throw err;
+					});
+
+				this.stub(emitter, "error");
+
+				return emitter.emit({
+					"type": "one",
+					"policy": "collect"
+				}).then(function () {
+					assert.same(records.length, 2);
+					assert.match(records[0], {
+						"type": "one",
+						"context": "context",
+						"callback": "slow",
+						"state": "fulfilled",
+						"value": "slow"
+					});
+					assert(records[0].duration >= 15);
+					assert.same(records[0].finished - records[0].started, records[0].duration);
+					assert.match(records[1], {
+						"callback": "failing",
+						"state": "rejected",
+						"reason": err
+					});
+				});
+			},
+
+			"listen": function () {
+				var emitter = Emitter();
+				var context = {};
+				var data = {};
+				var spy = this.spy();
+				var subscription = emitter.listen("one", context, spy, data, 1);
+
+				emitter.on("one", context, spy);
+
+				assert.match(subscription, {
+					"type": "one",
+					"context": context,
+					"callback": spy,
+					"data": data,
+					"priority": 1,
+					"paused": false
+				});
+
+				return emitter.emit("one").then(function () {
+					assert.calledTwice(spy);
+
+					subscription.pause();
+
+					return emitter.emit("one");
+				}).then(function () {
+					assert.calledThrice(spy);
+
+					subscription.resume().remove();
+
+					assert(subscription.removed);
+					assert.same(emitter.listenerCount("one"), 1);
+
+					return emitter.emit("one");
+				}).then(function () {
+					assert.callCount(spy, 4);
+				});
+			},
+
+			"off keeps order": function () {
+				var emitter = Emitter();
+				var context = {};
+				var other = {};
+				var calls = [];
+
+				function callback(name) {
+					return function () {
+						calls.push(name);
+					};
+				}
+
+				var one = callback("one");
+				var two = callback("two");
+				var three = callback("three");
+				var four = callback("four");
+
+				emitter
+					.on("test", context, one)
+					.on("test", other, two)
+					.on("test", context, three, undefined, 1)
+					.on("test", context, four)
+					.on("test", other, one);
+
+				emitter.off("test", context, four);
+				emitter.off("test", context, three);
+
+				assert.same(emitter.listenerCount("test"), 3);
+
+				return emitter.emit("test").then(function () {
+					assert.equals(calls, [ "one", "two", "one" ]);
+
+					emitter.off("test", other);
+
+					assert.same(emitter.listenerCount("test"), 1);
+					assert.equals(emitter.listeners("test").map(function (listener) {
+						return listener.context;
+					}), [ context ]);
+
+					emitter.off("test");
+
+					assert.same(emitter.listenerCount("test"), 0);
+					assert.equals(emitter.eventNames(), []);
+				});
+			},
+
+			"off with context that can not be stamped": function () {
+				var emitter = Emitter();
+				var one = Object.freeze({});
+				var two = Object.freeze({});
+				var spy = this.spy();
+
+				emitter
+					.on("test", one, spy)
+					.on("test", two, spy)
+					.off("test", one);
+
+				assert.equals(emitter.listeners("test").map(function (listener) {
+					return listener.context;
+				}), [ two ]);
+
+				emitter
+					.off("test")
+					.on("test", one, spy)
+					.off("test", one);
+
+				assert.same(emitter.listenerCount("test"), 0);
+			},
+
+			"off during emit": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+
+				emitter
+					.on("test", this, function () {
+						emitter.off("test", this, spy);
+					})
+					.on("test", this, spy);
+
+				return emitter.emit("test").then(function () {
+					assert.calledOnce(spy);
+
+					return emitter.emit("test");
+				}).then(function () {
+					assert.calledOnce(spy);
+				});
+			},
+
+			"iterate": function () {
+				var emitter = Emitter();
+				var iterator = emitter.iterate("test", 2);
+
+				emitter.emit("test", 1);
+				emitter.emit("test", 2, "two");
+				emitter.emit("test", 3);
+
+				return iterator.next().then(function (result) {
+					assert.equals(result, { "value": [ 2, "two" ], "done": false });
+
+					return iterator.next();
+				}).then(function (result) {
+					assert.equals(result, { "value": [ 3 ], "done": false });
+
+					var next = iterator.next();
+
+					emitter.emit("test", 4);
+
+					return next;
+				}).then(function (result) {
+					assert.equals(result, { "value": [ 4 ], "done": false });
+
+					var next = iterator.next();
+
+					return when.all([ next, iterator.return() ]);
+				}).then(function (results) {
+					assert.equals(results[0], { "value": undefined, "done": true });
+					assert.same(emitter.listenerCount("test"), 0);
+				});
+			},
+
+			"observe": function () {
+				var emitter = Emitter();
+				var next = this.spy();
+				var subscription = emitter.observe("test").subscribe(next);
+				var observable = emitter.observe("test");
+
+				assert.same(observable[typeof Symbol === "function" && Symbol.observable || "@@observable"](), observable);
+
+				return emitter.emit("test", 1, 2).then(function () {
+					assert.calledOnce(next);
+					assert.calledWith(next, [ 1, 2 ]);
+
+					subscription.unsubscribe();
+
+					assert(subscription.closed);
+					assert.same(emitter.listenerCount("test"), 0);
+
+					return emitter.emit("test", 3);
+				}).then(function () {
+					assert.calledOnce(next);
+				});
+			},
+
+			"observe - observer exceptions are reported": function () {
+				var emitter = Emitter();
+				var err = new Error("bug out");
+				var spy = this.spy();
+				var errors = this.spy();
+				var log = this.stub(emitter, "error");
+
+				emitter.observe("test").subscribe(function () {
+					throw err;
+				});
+
+				emitter.on("test", this, spy);
+
+				emitter.emit({
+					"type": "test",
+					"runner": sync
+				}, 1);
+
+				assert.calledOnce(spy);
+				assert.calledWith(spy, 1);
+				assert.calledOnce(log);
+				assert.match(log.firstCall.args[0], "unhandled error handling 'test'");
+				assert.same(log.firstCall.args[1], err);
+
+				emitter.on("error", this, errors);
+
+				emitter.emit({
+					"type": "test",
+					"runner": sync
+				}, 2);
+
+				assert.calledTwice(spy);
+				assert.calledOnce(log);
+				assert.calledOnce(errors);
+				assert.calledWith(errors, err, "test");
+			},
+
+			"waitFor": function () {
+				var emitter = Emitter();
+				var waiting = emitter.waitFor("test", function (value) {
+					return value > 1;
+				});
+
+				assert.same(emitter.listenerCount("test"), 1);
+
+				return emitter.emit("test", 1).then(function () {
+					return emitter.emit("test", 2, "abc");
+				}).then(function () {
+					return waiting;
+				}).then(function (args) {
+					assert.equals(args, [ 2, "abc" ]);
+					assert.same(emitter.listenerCount("test"), 0);
+				});
+			},
+
+			"waitFor with timeout": function () {
+				var emitter = Emitter();
+
+				return emitter.waitFor("test", 50).then(function () {
+					assert(false);
+				}, function (error) {
+					assert.same(error.name, "TimeoutError");
+					assert.match(error.message, "timed out after 50ms waiting for 'test'");
+					assert.same(emitter.listenerCount("test"), 0);
+				});
+			},
+
 			"bug out in the first event handler": function() {
 				var emitter = Emitter();
 				var err = new Error("bug out");
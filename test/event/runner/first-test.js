@@ -0,0 +1,107 @@
+/*globals buster:false*/
+buster.testCase("troopjs-core/event/runner/first", function (run) {
+	"use strict";
+
+	var assert = buster.referee.assert;
+	var refute = buster.referee.refute;
+
+	require( [ "troopjs-core/event/emitter", "troopjs-core/pubsub/hub", "troopjs-core/event/runner/first", "when", "when/delay" ] , function (Emitter, hub, first, when, delay) {
+
+		run({
+			"on/emit first result": function () {
+				var context = this;
+				var spy = this.spy();
+
+				return Emitter()
+					.on("test", context, function () {
+						// Return no value.
+					})
+					.on("test", context, function (arg) {
+						return delay(100, arg + 1);
+					})
+					.on("test", context, spy)
+					.emit({
+						"type": "test",
+						"runner": first
+					}, 1)
+					.then(function (result) {
+						assert.same(result, 2);
+						refute.called(spy);
+					});
+			},
+
+			"on/emit without result": function () {
+				var context = this;
+
+				return Emitter()
+					.on("test", context, function () {
+						// Return no value.
+					})
+					.emit({
+						"type": "test",
+						"runner": first
+					})
+					.then(function (result) {
+						refute.defined(result);
+					});
+			},
+
+			"on/emit falsy result": function () {
+				var context = this;
+				var spy = this.spy();
+
+				return Emitter()
+					.on("test", context, function () {
+						return false;
+					})
+					.on("test", context, spy)
+					.emit({
+						"type": "test",
+						"runner": first
+					})
+					.then(function (result) {
+						assert.same(result, false);
+						refute.called(spy);
+					});
+			},
+
+			"on/emit reject": function () {
+				var context = this;
+				var err = new Error("bug out");
+
+				return Emitter()
+					.on("test", context, function () {
+						throw err;
+					})
+					.emit({
+						"type": "test",
+						"runner": first
+					})
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.same(error, err);
+					});
+			},
+
+			"subscribe/publish first result": function () {
+				var context = this;
+
+				return hub
+					.subscribe("first/test", context, function () {
+						return "first";
+					})
+					.publish({
+						"type": "first/test",
+						"runner": first
+					})
+					.then(function (result) {
+						assert.same(result, "first");
+					})
+					.ensure(function () {
+						hub.unsubscribe("first/test");
+					});
+			}
+		});
+	});
+});
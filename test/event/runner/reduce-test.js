@@ -0,0 +1,129 @@
+/*globals buster:false*/
+buster.testCase("troopjs-core/event/runner/reduce", function (run) {
+	"use strict";
+
+	var assert = buster.referee.assert;
+
+	require( [ "troopjs-core/event/emitter", "troopjs-core/pubsub/hub", "troopjs-core/event/runner/reduce", "when", "when/delay" ] , function (Emitter, hub, reduce, when, delay) {
+
+		function sum(total, value) {
+			return total + value;
+		}
+
+		run({
+			"on/emit reduce": function () {
+				var context = this;
+
+				return Emitter()
+					.on("test", context, function (arg) {
+						return arg;
+					})
+					.on("test", context, function (arg) {
+						return delay(100, arg * 2);
+					})
+					.emit({
+						"type": "test",
+						"runner": reduce,
+						"accumulator": 1,
+						"reducer": sum
+					}, 2)
+					.then(function (result) {
+						assert.same(result, 7);
+					});
+			},
+
+			"on/emit reduce async reducer": function () {
+				var context = this;
+
+				return Emitter()
+					.on("test", context, function () {
+						return "a";
+					})
+					.on("test", context, function () {
+						return "b";
+					})
+					.emit({
+						"type": "test",
+						"runner": reduce,
+						"accumulator": [],
+						"reducer": function (result, value) {
+							return delay(50, result.concat(value));
+						}
+					})
+					.then(function (result) {
+						assert.equals(result, [ "a", "b" ]);
+					});
+			},
+
+			"on/emit reduce without handlers": function () {
+				return Emitter()
+					.emit({
+						"type": "test",
+						"runner": reduce,
+						"accumulator": 0,
+						"reducer": sum
+					})
+					.then(function (result) {
+						assert.same(result, 0);
+					});
+			},
+
+			"on/emit reduce without reducer": function () {
+				return Emitter()
+					.emit({
+						"type": "test",
+						"runner": reduce
+					})
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.match(error.message, "'reducer'");
+					});
+			},
+
+			"on/emit reject": function () {
+				var context = this;
+				var err = new Error("bug out");
+
+				return Emitter()
+					.on("test", context, function () {
+						return when.reject(err);
+					})
+					.emit({
+						"type": "test",
+						"runner": reduce,
+						"reducer": sum
+					})
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.same(error, err);
+					});
+			},
+
+			"subscribe/publish reduce": function () {
+				var context = this;
+
+				return hub
+					.subscribe("reduce/test", context, function () {
+						return 1;
+					})
+					.subscribe("reduce/test", context, function () {
+						return 2;
+					})
+					.publish({
+						"type": "reduce/test",
+						"runner": reduce,
+						"accumulator": 0,
+						"reducer": sum
+					})
+					.then(function (result) {
+						assert.same(result, 3);
+					})
+					.ensure(function () {
+						hub.unsubscribe("reduce/test");
+					});
+			}
+		});
+	});
+});
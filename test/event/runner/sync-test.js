@@ -0,0 +1,111 @@
+/*globals buster:false*/
+buster.testCase("troopjs-core/event/runner/sync", function (run) {
+	"use strict";
+
+	var assert = buster.referee.assert;
+	var refute = buster.referee.refute;
+
+	require( [ "troopjs-core/event/emitter", "troopjs-core/event/runner/sync" ] , function (Emitter, sync) {
+
+		run({
+			"on/emit per emit": function () {
+				var context = this;
+				var spy = this.spy();
+
+				var result = Emitter()
+					.on("test", context, function (arg) {
+						spy(arg);
+						return arg + 1;
+					})
+					.on("test", context, function (arg) {
+						spy(arg);
+						return arg + 2;
+					})
+					.emit({
+						"type": "test",
+						"runner": sync
+					}, 1);
+
+				assert.same(result, 3);
+				assert.calledTwice(spy);
+			},
+
+			"on/emit per instance": function () {
+				var emitter = Emitter();
+				var spy = this.spy();
+
+				emitter.runner = sync;
+
+				emitter
+					.on("test", this, function () {
+						return false;
+					})
+					.on("test", this, spy);
+
+				assert.same(emitter.emit("test"), false);
+				refute.called(spy);
+			},
+
+			"tracer": function () {
+				var tracer = this.spy();
+
+				Emitter()
+					.on("test", this, function handler() {
+						return 1;
+					})
+					.emit({
+						"type": "test",
+						"runner": sync,
+						"tracer": tracer
+					});
+
+				assert.calledOnce(tracer);
+				assert.calledWith(tracer, buster.sinon.match({
+					"type": "test",
+					"callback": "handler",
+					"state": "fulfilled",
+					"value": 1
+				}));
+			},
+
+			"bug out": function () {
+				var emitter = Emitter();
+				var err = new Error("bug out");
+
+				this.stub(emitter, "error");
+
+				emitter.runner = sync;
+
+				emitter.on("test", this, function () {
+					throw err;
+				});
+
+				assert.exception(function () {
+					emitter.emit("test");
+				});
+				// The caller gets the exception, so it is not logged
+				refute.called(emitter.error);
+			},
+
+			"bug out - error event with context": function () {
+				var emitter = Emitter();
+				var context = {};
+				var err = new Error("bug out");
+				var spy = this.spy();
+
+				emitter.runner = sync;
+
+				emitter.on("test", context, function () {
+					throw err;
+				});
+				emitter.on("error", this, spy);
+
+				assert.exception(function () {
+					emitter.emit("test");
+				});
+				assert.calledOnce(spy);
+				assert.calledWith(spy, err, "test", context);
+			}
+		});
+	});
+});
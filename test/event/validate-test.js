@@ -0,0 +1,44 @@
+/*globals buster:false*/
+buster.testCase("troopjs-core/event/validate", function (run) {
+	"use strict";
+
+	var assert = buster.referee.assert;
+
+	require( [ "troopjs-core/event/validate" ] , function (validate) {
+
+		run({
+			"valid": function () {
+				assert.equals(validate({
+					"type": "array",
+					"items": [{
+						"type": "object",
+						"required": [ "name" ],
+						"properties": {
+							"name": { "type": "string", "minLength": 1 },
+							"age": { "type": "integer", "minimum": 0 }
+						}
+					}, {
+						"type": [ "string", "null" ]
+					}]
+				}, [ { "name": "foo", "age": 1 }, null ]), []);
+			},
+
+			"invalid": function () {
+				assert.equals(validate({
+					"type": "object",
+					"required": [ "name" ],
+					"additionalProperties": false,
+					"properties": {
+						"age": { "type": "integer", "maximum": 10 },
+						"tags": { "type": "array", "items": { "enum": [ "a", "b" ] } }
+					}
+				}, { "age": 11.5, "tags": [ "a", "c" ], "foo": true }), [
+					"value.name is required",
+					"value.age should be integer but is number",
+					"value.tags[1] should be one of [\"a\",\"b\"]",
+					"value.foo is not allowed"
+				]);
+			}
+		});
+	});
+});
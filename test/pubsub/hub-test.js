@@ -5,7 +5,7 @@ buster.testCase("troopjs-core/pubsub/hub", function (run) {
 	var assert = buster.referee.assert;
 	var refute = buster.referee.refute;
 
-	require( [ "troopjs-core/pubsub/hub", "troopjs-core/pubsub/runner/sequence", "jquery", "when", "when/delay" ] , function (hub, sequence, $, when, delay) {
+	require( [ "troopjs-core/pubsub/hub", "troopjs-core/pubsub/runner/sequence", "troopjs-core/pubsub/runner/parallel", "troopjs-core/pubsub/runner/first", "troopjs-core/pubsub/runner/reduce", "jquery", "when", "when/delay" ] , function (hub, sequence, parallel, first, reduce, $, when, delay) {
 
 		run({
 			"setUp" : function () {
@@ -124,6 +124,268 @@ buster.testCase("troopjs-core/pubsub/hub", function (run) {
 						assert.same(2, count);
 					});
 			},
+			"subscribe/publish wildcard": function () {
+				var foo = "FOO";
+				var topics = [];
+
+				return hub
+					.subscribe("foo/*", this, function (arg) {
+						assert.same(foo, arg);
+						topics.push("foo/*");
+					})
+					.subscribe("foo/bar", this, function (arg) {
+						assert.same(foo, arg);
+						topics.push("foo/bar");
+					})
+					.publish("foo/bar", foo)
+					.then(function () {
+						assert.equals(topics, [ "foo/*", "foo/bar" ]);
+						assert.equals(hub.peek("foo/bar"), [ foo ]);
+					})
+					.ensure(function () {
+						hub.unsubscribe("foo/*");
+					});
+			},
+
+			"subscribe/publish - sequence runner with collect policy": function () {
+				var err = new Error("bug out");
+				var spy = this.spy();
+
+				return hub
+					.subscribe("foo/bar", this, function () {
+						throw err;
+					})
+					.subscribe("foo/bar", this, spy)
+					.emit({
+						"type" : "foo/bar",
+						"runner" : sequence,
+						"policy" : "collect"
+					}, "foo")
+					.then(function (outcomes) {
+						assert.calledOnceWith(spy, "foo");
+						assert.same(outcomes.error.errors[0].reason, err);
+						assert.equals(hub.peek("foo/bar"), [ "foo" ]);
+					});
+			},
+
+			"subscribe/publish with default timeout": function () {
+				var spy = this.spy();
+
+				hub.timeout = 50;
+
+				return hub
+					.subscribe("foo/bar", this, function () {
+						return when.defer().promise;
+					})
+					.subscribe("foo/bar", this, spy)
+					.publish("foo/bar")
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.same(error.name, "TimeoutError");
+						assert.match(error.message, "'foo/bar'");
+						refute.called(spy);
+					})
+					.ensure(function () {
+						hub.timeout = 0;
+					});
+			},
+
+			"subscribe/publish - using parallel runner": function () {
+				var foo = "FOO";
+				var blocked = {
+					"phase": "finalized"
+				};
+				var spy = this.spy();
+				var started = [];
+
+				return hub
+					.subscribe("foo/bar", this, function (arg) {
+						started.push(1);
+						return delay(100, arg + 1);
+					})
+					.subscribe("foo/bar", blocked, spy)
+					.subscribe("foo/bar", this, function (arg) {
+						started.push(2);
+						assert.equals(started, [ 1, 2 ]);
+						return arg + 2;
+					})
+					.publish({
+						"type": "foo/bar",
+						"runner": parallel
+					}, foo)
+					.then(function (results) {
+						refute.called(spy);
+						assert.equals(results, [ foo + 1, foo + 2 ]);
+						assert.equals(hub.peek("foo/bar"), [ foo ]);
+					});
+			},
+
+			"subscribe/publish - using first runner": function () {
+				var foo = "FOO";
+				var blocked = {
+					"phase": "finalized"
+				};
+				var blockedSpy = this.spy();
+				var spy = this.spy();
+
+				return hub
+					.subscribe("foo/bar", blocked, blockedSpy)
+					.subscribe("foo/bar", this, function () {
+						// Return no value.
+					})
+					.subscribe("foo/bar", this, function (arg) {
+						return delay(100, arg + 1);
+					})
+					.subscribe("foo/bar", this, spy)
+					.publish({
+						"type": "foo/bar",
+						"runner": first
+					}, foo)
+					.then(function (result) {
+						refute.called(blockedSpy);
+						refute.called(spy);
+						assert.same(result, foo + 1);
+						assert.equals(hub.peek("foo/bar"), [ foo ]);
+					});
+			},
+
+			"subscribe/publish - using reduce runner": function () {
+				var blocked = {
+					"phase": "initialize"
+				};
+				var spy = this.spy();
+
+				return hub
+					.subscribe("foo/bar", this, function (arg) {
+						return arg;
+					})
+					.subscribe("foo/bar", blocked, spy)
+					.subscribe("foo/bar", this, function (arg) {
+						return delay(100, arg * 2);
+					})
+					.publish({
+						"type": "foo/bar",
+						"runner": reduce,
+						"accumulator": 0,
+						"reducer": function (total, value) {
+							return total + value;
+						}
+					}, 2)
+					.then(function (result) {
+						refute.called(spy);
+						assert.same(result, 6);
+						assert.equals(hub.peek("foo/bar"), [ 2 ]);
+					});
+			},
+
+			"subscribe/publish - using reduce runner without reducer": function () {
+				return hub
+					.publish({
+						"type": "foo/bar",
+						"runner": reduce
+					})
+					.then(function () {
+						assert(false);
+					}, function (error) {
+						assert.match(error.message, "'reducer'");
+					});
+			},
+
+			"subscriptions": function () {
+				var one = {};
+				var two = {};
+
+				function noop() {}
+
+				hub
+					.subscribe("foo/bar", one, noop)
+					.subscribe("foo/baz", two, noop)
+					.subscribe("foo/baz", one, noop);
+
+				var subscriptions = hub.subscriptions().filter(function (subscription) {
+					return subscription.context === one || subscription.context === two;
+				});
+
+				hub.unsubscribe("foo/baz");
+
+				assert.equals(subscriptions, [{
+					"context": one,
+					"topics": [ "foo/bar", "foo/baz" ]
+				}, {
+					"context": two,
+					"topics": [ "foo/baz" ]
+				}]);
+			},
+
+			"publish buffer": function () {
+				var spy = this.spy();
+				var promise = hub.publish({
+					"type": "foo/buffer",
+					"buffer": 1
+				}, "foo");
+
+				hub.subscribe("foo/buffer", this, spy);
+
+				return promise.then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, "foo");
+
+					hub.unsubscribe("foo/buffer");
+				});
+			},
+
+			"publish frame": function () {
+				var spy = this.spy();
+
+				hub.subscribe("foo/frame", this, spy);
+
+				return when.all([ "foo", "bar" ].map(function (value) {
+					return hub.publish({
+						"type": "foo/frame",
+						"frame": true
+					}, value);
+				})).then(function () {
+					assert.calledOnce(spy);
+					assert.calledWith(spy, "bar");
+					assert.equals(hub.peek("foo/frame"), [ "bar" ]);
+
+					hub.unsubscribe("foo/frame");
+				});
+			},
+
+			"observe memory": function () {
+				var next = this.spy();
+
+				return hub.publish("foo/observe", 1).then(function () {
+					var subscription = hub.observe("foo/observe", true).subscribe(next);
+
+					assert.calledOnce(next);
+					assert.calledWith(next, [ 1 ]);
+
+					return hub.publish("foo/observe", 2).then(function () {
+						assert.calledTwice(next);
+						assert.calledWith(next, [ 2 ]);
+
+						subscription.unsubscribe();
+						hub.forget("foo/observe");
+					});
+				});
+			},
+
+			"no listener leak warning by default": function () {
+				var warn = this.stub(hub, "warn");
+				var count;
+
+				for (count = 0; count < 20; count++) {
+					hub.subscribe("foo/many", {}, function () {});
+				}
+
+				refute.called(warn);
+
+				hub.unsubscribe("foo/many");
+			},
+
 			"bug out in first hub subscriber": function() {
 				var err = new Error("bug out");
 				hub.subscribe("foo/bar", this, function() {